@@ -4,15 +4,43 @@
  * Inspired by newyorksunshine.com tennis ball effect
  */
 
-// Use global THREE and CANNON (set by importmap in HTML)
+import { createRandom, isSeeded } from './seeded-random.js';
+import { NeoballSimulation, BALL_EVENTS } from './physics-core.js';
+import { InstancedBalls } from './instanced-balls.js';
+import { QualityGovernor, scaleSetting } from './quality-governor.js';
+import { Emitter } from './emitter.js';
+import { ImpactSound, createSoundToggle } from './impact-sound.js';
+import { watchReducedMotion } from './reduced-motion.js';
+import { DomColliders } from './dom-colliders.js';
+
+// Use global THREE (set by importmap in HTML); physics lives in NeoballSimulation
 const THREE = window.THREE;
-const CANNON = window.CANNON;
 
-class NeoballPhysics {
+// drags key for the ball held with the keyboard (pointer ids are numbers)
+const KEYBOARD_POINTER = 'keyboard';
+// Keyboard aiming: degrees per arrow press and power levels (× 10 = pointer velocity)
+const AIM_STEP = 15;
+const MAX_POWER = 5;
+const DIRECTIONS = ['right', 'up-right', 'up', 'up-left', 'left', 'down-left', 'down', 'down-right'];
+// Gap between clearing the live region and writing the message, so screen readers see a change
+const ANNOUNCE_DELAY = 100;
+
+// Unique instance id counter (keeps element ids apart when a page has several playgrounds)
+let PHYSICS_INSTANCE_ID = 0;
+
+/**
+ * Emits grab, throw, collide, wallhit and sleep (see BALL_EVENTS in
+ * physics-core.js) plus qualitychange: `physics.on('collide', e => ...)`.
+ */
+class NeoballPhysics extends Emitter {
   constructor(options = {}) {
+    super();
+
     // Detect mobile
     this._isMobile = this.detectMobile();
 
+    this.instanceId = ++PHYSICS_INSTANCE_ID;
+
     // Configuration
     this.config = {
       container: options.container || document.body,
@@ -25,17 +53,36 @@ class NeoballPhysics {
       linearDamping: options.linearDamping || 0.1,
       angularDamping: options.angularDamping || 0.3,
       throwForce: options.throwForce || 30,
+      // Draw all balls with one InstancedMesh (hundreds of balls at 60fps)
+      instanced: options.instanced ?? false,
+      // Step quality down/up from the measured FPS (see QualityGovernor); off for seeded replays
+      adaptiveQuality: options.adaptiveQuality ?? !isSeeded(options.seed),
+      targetFps: options.targetFps ?? 50,
+      // Page elements the balls rest on (selectors or elements, e.g. ['#buyBtn'])
+      colliders: options.colliders ?? [],
+      // Velocity (px/s) added per pixel the page scrolls in a frame
+      scrollMomentum: options.scrollMomentum ?? 8,
+      // Bounce sounds: true or ImpactSound options (muted until a user gesture)
+      sound: options.sound ?? false,
+      // Show the silent/regular profile switch when sound is on
+      soundToggle: options.soundToggle ?? true,
+      // 'auto' follows prefers-reduced-motion; true/false forces it
+      reducedMotion: options.reducedMotion ?? 'auto',
+      // No WebGL renderer, texture or animation loop: physics and input handling only (tests)
+      headless: options.headless ?? false,
+      // Seed for reproducible layouts and motion (undefined = Math.random)
+      seed: options.seed,
       ...options
     };
 
-    // State
+    // Every random call goes through this so a seed reproduces the whole run
+    this.random = createRandom(this.config.seed);
+
+    // State (ball records are shared with the simulation)
     this.balls = [];
-    this.selectedBall = null;
-    this.isDragging = false;
+    // Active drags keyed by Pointer Events pointerId (one per finger, mouse or pen)
+    this.drags = new Map();
     this.mouse = new THREE.Vector2();
-    this.lastMouse = new THREE.Vector2();
-    this.lastMouseTime = 0;
-    this.dragVelocity = new THREE.Vector2();
     this.raycaster = new THREE.Raycaster();
     this.clock = new THREE.Clock();
 
@@ -44,6 +91,36 @@ class NeoballPhysics {
     this.lastFpsUpdate = 0;
     this.fps = 60;
 
+    // Adaptive quality: tiers scale these base settings
+    this.baseQuality = {
+      pixelRatio: Math.min(window.devicePixelRatio, this._isMobile ? 2 : 2.5),
+      solverIterations: this._isMobile ? 5 : 10,
+      maxSubSteps: this._isMobile ? 2 : 3,
+      ballCount: this.config.ballCount
+    };
+    this.culledBalls = [];
+    this.governor = this.config.adaptiveQuality
+      ? new QualityGovernor({ targetFps: this.config.targetFps })
+      : null;
+    this.governor?.on('tierchange', ({ tier, direction, fps }) => {
+      this.applyQualityTier(tier);
+      this.emit('qualitychange', { type: 'qualitychange', tier: tier.name, direction, fps });
+    });
+
+    // Lifecycle: every listener goes through listen() so destroy() can remove it
+    this.listeners = [];
+    this.rafId = null;
+    // Reduced motion only draws frames that changed something (see requestRender)
+    this.needsRender = true;
+    this.ready = false;
+    this.paused = false;
+    this.destroyed = false;
+    this.animate = this.animate.bind(this);
+
+    // Reduced motion: a settled, static pile that only moves by single-step nudges
+    this.reducedMotion = false;
+    this.motionWatcher = null;
+
     // Initialize
     this.init();
   }
@@ -62,11 +139,21 @@ class NeoballPhysics {
     this.createContainer();
     this.createScene();
     this.createPhysicsWorld();
-    this.createBoundaries();
-    this.loadTexture().then(() => {
+    this.createSound();
+    // Up front, so addBall() works while the texture loads
+    if (this.config.instanced) this.createInstances();
+    // Resolves once the texture has loaded and the balls exist
+    this.readyPromise = this.loadTexture().then(() => {
+      // destroy() may have run while the texture was loading
+      if (this.destroyed) return;
+      this.applyBallTexture();
       this.createBalls();
       this.bindEvents();
-      this.animate();
+      this.motionWatcher = watchReducedMotion(this.config.reducedMotion, enabled => this.setReducedMotion(enabled));
+      this.setReducedMotion(this.motionWatcher.enabled);
+      this.ready = true;
+      this.resetFpsCounter();
+      if (!this.paused && !this.config.headless) this.animate();
       console.log('Neoball Physics initialized', {
         mobile: this._isMobile,
         balls: this.config.ballCount
@@ -113,22 +200,30 @@ class NeoballPhysics {
     );
     this.camera.position.z = 500;
 
-    // Renderer with mobile optimizations
-    this.renderer = new THREE.WebGLRenderer({
-      alpha: true,
-      antialias: !this._isMobile,
-      powerPreference: this._isMobile ? 'low-power' : 'high-performance',
-      stencil: false,
-      depth: true
-    });
-    this.renderer.setSize(width, height);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this._isMobile ? 2 : 2.5));
-    this.renderer.setClearColor(0x000000, 0);
+    if (this.config.headless) {
+      // Still a canvas for the pointer, focus and ARIA wiring, just never drawn into
+      this.renderer = null;
+      this.canvas = document.createElement('canvas');
+    } else {
+      // Renderer with mobile optimizations
+      this.renderer = new THREE.WebGLRenderer({
+        alpha: true,
+        antialias: !this._isMobile,
+        powerPreference: this._isMobile ? 'low-power' : 'high-performance',
+        stencil: false,
+        depth: true
+      });
+      this.renderer.setSize(width, height);
+      this.renderer.setPixelRatio(this.baseQuality.pixelRatio);
+      this.renderer.setClearColor(0x000000, 0);
+      this.canvas = this.renderer.domElement;
+    }
 
     // Enable pointer events on canvas for raycasting
-    this.renderer.domElement.style.pointerEvents = 'auto';
-    this.renderer.domElement.style.touchAction = 'none'; // Prevent default touch behaviors
-    this.containerEl.appendChild(this.renderer.domElement);
+    this.canvas.style.pointerEvents = 'auto';
+    this.canvas.style.touchAction = 'none'; // Prevent default touch behaviors
+    this.containerEl.appendChild(this.canvas);
+    this.createAccessibility();
 
     // Lighting
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.8);
@@ -142,68 +237,111 @@ class NeoballPhysics {
     const rimLight = new THREE.DirectionalLight(0x00FFFF, 0.2);
     rimLight.position.set(-100, -50, 50);
     this.scene.add(rimLight);
+
+    this.createFocusRing();
   }
 
-  createPhysicsWorld() {
-    // Cannon.js physics world
-    this.world = new CANNON.World();
-    this.world.gravity.set(0, this.config.gravity, 0);
+  // Keyboard mode: the canvas is focusable and narrates through a live region
+  createAccessibility() {
+    const canvas = this.canvas;
+    canvas.tabIndex = 0;
+    canvas.setAttribute('role', 'application');
+    canvas.setAttribute('aria-label', 'Ball playground');
+
+    const hidden = 'position:absolute;width:1px;height:1px;margin:-1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;';
+
+    this.hintEl = document.createElement('p');
+    this.hintEl.id = `neoball-physics-hint-${this.instanceId}`;
+    this.hintEl.style.cssText = hidden;
+    this.hintEl.textContent = 'Tab or arrow keys select a ball. Enter picks it up, arrows aim and set power, Enter throws, Escape drops.';
+    canvas.setAttribute('aria-describedby', this.hintEl.id);
+
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.style.cssText = hidden;
 
-    // Use SAPBroadphase for better performance with many objects
-    this.world.broadphase = new CANNON.SAPBroadphase(this.world);
-    this.world.allowSleep = true; // Allow bodies to sleep for performance
-    this.world.solver.iterations = this._isMobile ? 5 : 10;
+    this.containerEl.append(this.hintEl, this.liveRegion);
 
-    // Default materials
-    this.ballMaterial = new CANNON.Material('ball');
-    this.wallMaterial = new CANNON.Material('wall');
+    this.keyboard = { index: -1, aiming: false, angle: 90, power: 3, visible: false };
+    this.announceTimer = null;
+  }
+
+  // Ring around the selected ball plus an arrow showing aim and power
+  createFocusRing() {
+    this.focusRing = new THREE.Mesh(
+      new THREE.RingGeometry(1.12, 1.3, 48),
+      new THREE.MeshBasicMaterial({ color: 0x00ffff, depthTest: false, transparent: true })
+    );
+    this.focusRing.renderOrder = 10;
+    this.focusRing.visible = false;
+    this.scene.add(this.focusRing);
 
-    // Contact material for ball-ball collisions
-    const ballBallContact = new CANNON.ContactMaterial(this.ballMaterial, this.ballMaterial, {
+    this.aimArrow = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), 1, 0x00ffff);
+    this.aimArrow.visible = false;
+    this.scene.add(this.aimArrow);
+  }
+
+  createPhysicsWorld() {
+    // Cannon.js world, walls and materials live in the renderer-agnostic core
+    this.sim = new NeoballSimulation({
+      width: window.innerWidth,
+      height: window.innerHeight,
+      ballRadius: this.config.ballRadius,
+      ballMass: 1,
+      gravity: this.config.gravity,
+      restitution: this.config.restitution,
       friction: this.config.friction,
-      restitution: this.config.restitution
+      linearDamping: this.config.linearDamping,
+      angularDamping: this.config.angularDamping,
+      wallThickness: 100,
+      wallDepth: 200,
+      wallFriction: 0.1,
+      wallRestitution: this.config.restitution * 0.8,
+      solverIterations: this.baseQuality.solverIterations,
+      allowSleep: true, // Allow bodies to sleep for performance
+      maxSubSteps: this.baseQuality.maxSubSteps,
+      throwForce: this.config.throwForce,
+      scrollMomentum: this.config.scrollMomentum,
+      seed: this.config.seed,
+      random: this.random
     });
 
-    // Contact material for ball-wall collisions
-    const ballWallContact = new CANNON.ContactMaterial(this.ballMaterial, this.wallMaterial, {
-      friction: 0.1,
-      restitution: this.config.restitution * 0.8
-    });
+    this.world = this.sim.world;
+    this.walls = this.sim.walls;
+    this.balls = this.sim.balls;
 
-    this.world.addContactMaterial(ballBallContact);
-    this.world.addContactMaterial(ballWallContact);
-  }
+    // Let the host page hear about grabs, throws and impacts
+    BALL_EVENTS.forEach(type => this.sim.on(type, event => this.emit(type, event)));
 
-  createBoundaries() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    const wallThickness = 100;
-
-    // Create invisible walls (floor, ceiling, left, right)
-    const wallConfigs = [
-      { pos: [0, -height/2 - wallThickness/2, 0], size: [width * 2, wallThickness, 200] }, // Floor
-      { pos: [0, height/2 + wallThickness/2, 0], size: [width * 2, wallThickness, 200] },  // Ceiling
-      { pos: [-width/2 - wallThickness/2, 0, 0], size: [wallThickness, height * 2, 200] }, // Left
-      { pos: [width/2 + wallThickness/2, 0, 0], size: [wallThickness, height * 2, 200] }   // Right
-    ];
-
-    this.walls = [];
-    wallConfigs.forEach(config => {
-      const shape = new CANNON.Box(new CANNON.Vec3(config.size[0]/2, config.size[1]/2, config.size[2]/2));
-      const body = new CANNON.Body({
-        mass: 0, // Static
-        material: this.wallMaterial,
-        position: new CANNON.Vec3(...config.pos),
-        collisionFilterGroup: 2,
-        collisionFilterMask: 1
-      });
-      body.addShape(shape);
-      this.world.addBody(body);
-      this.walls.push(body);
+    // World units are CSS pixels here, so rects map 1:1
+    this.domColliders = new DomColliders(this.sim, {
+      targets: this.config.colliders,
+      // Moved boxes only re-settle (and draw) once the page is still
+      onDirty: () => this.wake()
     });
   }
 
+  createSound() {
+    if (!this.config.sound) return;
+
+    const options = typeof this.config.sound === 'object' ? this.config.sound : {};
+    this.sound = new ImpactSound(options).attach(this);
+
+    if (!this.config.soundToggle) return;
+    this.soundToggleEl = createSoundToggle(this.sound);
+    this.soundToggleEl.style.cssText = `
+      position: absolute;
+      left: 16px;
+      bottom: 16px;
+      pointer-events: auto;
+    `;
+    this.containerEl.appendChild(this.soundToggleEl);
+  }
+
   async loadTexture() {
+    // Headless balls use the fallback color
+    if (this.config.headless) return;
+
     return new Promise((resolve) => {
       const loader = new THREE.TextureLoader();
       loader.load(
@@ -224,134 +362,173 @@ class NeoballPhysics {
     });
   }
 
+  getBallGeometry() {
+    // Sphere geometry (reused for all balls)
+    if (!this.ballGeometry) {
+      this.ballGeometry = new THREE.SphereGeometry(
+        this.config.ballRadius,
+        this._isMobile ? 24 : 32,
+        this._isMobile ? 24 : 32
+      );
+    }
+    return this.ballGeometry;
+  }
+
+  createBallMaterial() {
+    // Fall back to brand cyan if the texture failed to load
+    if (this.ballTextureMap) {
+      return new THREE.MeshStandardMaterial({
+        map: this.ballTextureMap,
+        roughness: 0.5,
+        metalness: 0.05,
+        envMapIntensity: 0.5
+      });
+    }
+    return new THREE.MeshStandardMaterial({
+      color: 0x00FFFF,
+      roughness: 0.5,
+      metalness: 0.05
+    });
+  }
+
+  // Materials made before the texture loaded (the instances, early addBall()s) fell back to cyan
+  applyBallTexture() {
+    if (!this.ballTextureMap) return;
+
+    const materials = this.instances
+      ? [this.instances.material]
+      : this.balls.map(ball => ball.mesh.material);
+    materials.forEach(material => {
+      material.map = this.ballTextureMap;
+      material.color.set(0xffffff);
+      material.envMapIntensity = 0.5;
+      material.needsUpdate = true;
+    });
+  }
+
+  createInstances() {
+    // Unit sphere, scaled per instance to the ball's radius
+    this.instances = new InstancedBalls({
+      geometry: new THREE.SphereGeometry(1, this._isMobile ? 16 : 24, this._isMobile ? 16 : 24),
+      material: this.createBallMaterial(),
+      capacity: Math.max(64, this.config.ballCount)
+    });
+    this.scene.add(this.instances.mesh);
+  }
+
+  createBallMesh(ball) {
+    if (this.config.instanced) {
+      ball.instanceId = this.instances.add(0);
+      this.instances.setTransform(ball.instanceId, ball.body.position, ball.body.quaternion, ball.radius);
+      this.instances.update();
+      return null;
+    }
+
+    const mesh = new THREE.Mesh(this.getBallGeometry(), this.createBallMaterial());
+    mesh.position.copy(ball.body.position);
+    mesh.quaternion.copy(ball.body.quaternion);
+    this.scene.add(mesh);
+    ball.mesh = mesh;
+    return mesh;
+  }
+
   createBalls() {
     const width = window.innerWidth;
     const height = window.innerHeight;
-
-    // Sphere geometry (reused for all balls)
-    const geometry = new THREE.SphereGeometry(
-      this.config.ballRadius,
-      this._isMobile ? 24 : 32,
-      this._isMobile ? 24 : 32
-    );
+    const euler = new THREE.Euler();
+    const quaternion = new THREE.Quaternion();
 
     for (let i = 0; i < this.config.ballCount; i++) {
       // Random starting position (spread across screen, biased toward top)
-      const x = (Math.random() - 0.5) * width * 0.7;
-      const y = Math.random() * height * 0.4 + height * 0.1 - height/2 + height/2;
-      const z = 0;
-
-      // Create material (clone texture for independent rotation)
-      let material;
-      if (this.ballTextureMap) {
-        material = new THREE.MeshStandardMaterial({
-          map: this.ballTextureMap,
-          roughness: 0.5,
-          metalness: 0.05,
-          envMapIntensity: 0.5
-        });
-      } else {
-        material = new THREE.MeshStandardMaterial({
-          color: 0x00FFFF,
-          roughness: 0.5,
-          metalness: 0.05
-        });
-      }
-
-      const mesh = new THREE.Mesh(geometry, material);
-      mesh.position.set(x, y, z);
+      const x = (this.random() - 0.5) * width * 0.7;
+      const y = this.random() * height * 0.4 + height * 0.1 - height/2 + height/2;
 
       // Random initial rotation
-      mesh.rotation.set(
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2
+      euler.set(
+        this.random() * Math.PI * 2,
+        this.random() * Math.PI * 2,
+        this.random() * Math.PI * 2
       );
-
-      this.scene.add(mesh);
-
-      // Create physics body
-      const shape = new CANNON.Sphere(this.config.ballRadius);
-      const body = new CANNON.Body({
-        mass: 1,
-        material: this.ballMaterial,
-        linearDamping: this.config.linearDamping,
-        angularDamping: this.config.angularDamping,
-        collisionFilterGroup: 1,
-        collisionFilterMask: 1 | 2,
-        sleepSpeedLimit: 0.5,
-        sleepTimeLimit: 1
+      quaternion.setFromEuler(euler);
+
+      const ball = this.sim.addBall({
+        x,
+        y,
+        quaternion,
+        // One texture for every ball (reported in events)
+        textureIndex: 0,
+        // Random initial velocity
+        velocity: {
+          x: (this.random() - 0.5) * 80,
+          y: (this.random() - 0.5) * 40
+        },
+        // Random initial spin
+        angularVelocity: {
+          x: (this.random() - 0.5) * 3,
+          y: (this.random() - 0.5) * 3,
+          z: (this.random() - 0.5) * 3
+        }
       });
-      body.addShape(shape);
-      body.position.set(x, y, z);
-
-      // Random initial velocity
-      body.velocity.set(
-        (Math.random() - 0.5) * 80,
-        (Math.random() - 0.5) * 40,
-        0
-      );
 
-      // Random initial spin
-      body.angularVelocity.set(
-        (Math.random() - 0.5) * 3,
-        (Math.random() - 0.5) * 3,
-        (Math.random() - 0.5) * 3
-      );
+      this.createBallMesh(ball);
+    }
+  }
 
-      this.world.addBody(body);
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
 
-      // Store ball reference
-      this.balls.push({
-        mesh,
-        body,
-        index: i
-      });
-    }
+  unbindEvents() {
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
   }
 
   bindEvents() {
-    // Mouse events
-    this.renderer.domElement.addEventListener('mousedown', this.onPointerDown.bind(this));
-    window.addEventListener('mousemove', this.onPointerMove.bind(this));
-    window.addEventListener('mouseup', this.onPointerUp.bind(this));
+    // Pointer events (mouse, pen and every touch point share one code path)
+    this.listen(this.canvas, 'pointerdown', this.onPointerDown.bind(this));
+    this.listen(window, 'pointermove', this.onPointerMove.bind(this));
+    this.listen(window, 'pointerup', this.onPointerUp.bind(this));
+    this.listen(window, 'pointercancel', this.onPointerUp.bind(this));
 
-    // Touch events
-    this.renderer.domElement.addEventListener('touchstart', this.onTouchStart.bind(this), { passive: false });
-    window.addEventListener('touchmove', this.onTouchMove.bind(this), { passive: false });
-    window.addEventListener('touchend', this.onTouchEnd.bind(this));
-    window.addEventListener('touchcancel', this.onTouchEnd.bind(this));
+    // Keyboard
+    this.listen(this.canvas, 'keydown', this.onKeyDown.bind(this));
+    this.listen(this.canvas, 'focus', this.onFocus.bind(this));
+    this.listen(this.canvas, 'blur', this.onBlur.bind(this));
 
     // Resize
-    window.addEventListener('resize', this.onResize.bind(this));
+    this.listen(window, 'resize', this.onResize.bind(this));
 
     // Visibility change (pause when tab hidden)
-    document.addEventListener('visibilitychange', this.onVisibilityChange.bind(this));
+    this.listen(document, 'visibilitychange', this.onVisibilityChange.bind(this));
 
     // Device orientation for gravity (mobile)
     if (this._isMobile && window.DeviceOrientationEvent) {
+      const onDeviceOrientation = this.onDeviceOrientation.bind(this);
+
       // Request permission on iOS 13+
       if (typeof DeviceOrientationEvent.requestPermission === 'function') {
         // Need user gesture to request
         const requestPermission = () => {
           DeviceOrientationEvent.requestPermission()
             .then(response => {
-              if (response === 'granted') {
-                window.addEventListener('deviceorientation', this.onDeviceOrientation.bind(this));
+              if (response === 'granted' && !this.destroyed) {
+                this.listen(window, 'deviceorientation', onDeviceOrientation);
               }
             })
             .catch(console.error);
-          document.removeEventListener('touchstart', requestPermission);
         };
-        document.addEventListener('touchstart', requestPermission, { once: true });
+        this.listen(document, 'touchstart', requestPermission, { once: true });
       } else {
-        window.addEventListener('deviceorientation', this.onDeviceOrientation.bind(this));
+        this.listen(window, 'deviceorientation', onDeviceOrientation);
       }
     }
   }
 
   getPointerPosition(clientX, clientY) {
-    const rect = this.renderer.domElement.getBoundingClientRect();
+    const rect = this.canvas.getBoundingClientRect();
     return {
       x: ((clientX - rect.left) / rect.width) * 2 - 1,
       y: -((clientY - rect.top) / rect.height) * 2 + 1,
@@ -360,114 +537,317 @@ class NeoballPhysics {
     };
   }
 
-  onPointerDown(event) {
-    const pos = this.getPointerPosition(event.clientX, event.clientY);
+  pickBall(clientX, clientY) {
+    const pos = this.getPointerPosition(clientX, clientY);
     this.mouse.set(pos.x, pos.y);
-    this.lastMouse.set(pos.screenX, pos.screenY);
-    this.lastMouseTime = performance.now();
 
-    // Raycast to find clicked ball
+    // Raycast to find the ball under the pointer
     this.raycaster.setFromCamera(this.mouse, this.camera);
+
+    if (this.config.instanced) {
+      const hit = this.raycaster.intersectObject(this.instances.mesh)[0];
+      return hit ? this.balls[hit.instanceId] || null : null;
+    }
+
     const intersects = this.raycaster.intersectObjects(this.balls.map(b => b.mesh));
+    if (intersects.length === 0) return null;
 
-    if (intersects.length > 0) {
-      const clickedMesh = intersects[0].object;
-      this.selectedBall = this.balls.find(b => b.mesh === clickedMesh);
-      this.isDragging = true;
+    const clickedMesh = intersects[0].object;
+    return this.balls.find(b => b.mesh === clickedMesh) || null;
+  }
 
-      if (this.selectedBall) {
-        // Wake up the body and stop its motion
-        this.selectedBall.body.wakeUp();
-        this.selectedBall.body.velocity.setZero();
-        this.selectedBall.body.angularVelocity.setZero();
+  onPointerDown(event) {
+    const ball = this.pickBall(event.clientX, event.clientY);
+    if (!ball) return;
 
-        // Haptic feedback
-        this.vibrate(10);
-      }
+    // A ball already held by another finger stays with that finger
+    for (const drag of this.drags.values()) {
+      if (drag.ball === ball) return;
+    }
+
+    event.preventDefault?.();
+    const pos = this.getPointerPosition(event.clientX, event.clientY);
+
+    if (this.reducedMotion) {
+      // Push away from where the ball was touched instead of picking it up
+      const { x, y } = ball.body.position;
+      this.nudgeBall(ball, x - pos.screenX, y - pos.screenY + ball.radius);
+      return;
     }
+
+    this.drags.set(event.pointerId, {
+      ball,
+      lastX: pos.screenX,
+      lastY: pos.screenY,
+      lastTime: performance.now(),
+      velocity: new THREE.Vector2()
+    });
+
+    this.sim.grabBall(ball);
+
+    // Haptic feedback
+    this.vibrate(10);
   }
 
   onPointerMove(event) {
-    if (!this.isDragging || !this.selectedBall) return;
+    const drag = this.drags.get(event.pointerId);
+    if (!drag) return;
 
     const now = performance.now();
-    const dt = Math.max(now - this.lastMouseTime, 1);
+    const dt = Math.max(now - drag.lastTime, 1);
     const pos = this.getPointerPosition(event.clientX, event.clientY);
 
     // Calculate velocity based on movement
-    this.dragVelocity.set(
-      (pos.screenX - this.lastMouse.x) / dt * 16, // Normalize to ~60fps
-      (pos.screenY - this.lastMouse.y) / dt * 16
+    drag.velocity.set(
+      (pos.screenX - drag.lastX) / dt * 16, // Normalize to ~60fps
+      (pos.screenY - drag.lastY) / dt * 16
     );
 
-    // Move ball towards cursor with spring-like following
-    const body = this.selectedBall.body;
-    const dx = pos.screenX - body.position.x;
-    const dy = pos.screenY - body.position.y;
-
-    // Apply velocity towards cursor (creates smooth following)
-    body.velocity.x = dx * 0.25;
-    body.velocity.y = dy * 0.25;
+    // Move ball towards pointer with spring-like following
+    this.sim.dragBall(drag.ball, pos.screenX, pos.screenY);
 
-    this.lastMouse.set(pos.screenX, pos.screenY);
-    this.lastMouseTime = now;
+    drag.lastX = pos.screenX;
+    drag.lastY = pos.screenY;
+    drag.lastTime = now;
   }
 
-  onPointerUp() {
-    if (this.selectedBall && this.isDragging) {
-      // Apply throw velocity
-      const throwMultiplier = this.config.throwForce;
-
-      // Clamp velocity to prevent crazy throws
-      const maxVel = 50;
-      const vx = Math.max(-maxVel, Math.min(maxVel, this.dragVelocity.x));
-      const vy = Math.max(-maxVel, Math.min(maxVel, this.dragVelocity.y));
+  onPointerUp(event) {
+    const drag = this.drags.get(event.pointerId);
+    if (!drag) return;
+    this.drags.delete(event.pointerId);
 
-      this.selectedBall.body.velocity.x = vx * throwMultiplier;
-      this.selectedBall.body.velocity.y = vy * throwMultiplier;
-
-      // Add spin based on throw direction
-      this.selectedBall.body.angularVelocity.set(
-        vy * 0.15,
-        -vx * 0.15,
-        (Math.random() - 0.5) * 2
-      );
+    // A cancelled pointer (e.g. the browser took over the gesture) just lets go
+    if (event.type !== 'pointercancel') {
+      // Apply throw velocity and spin (clamped by the simulation)
+      this.sim.throwBall(drag.ball, drag.velocity.x, drag.velocity.y);
 
       // Haptic feedback
       this.vibrate(5);
     }
+  }
 
-    this.selectedBall = null;
-    this.isDragging = false;
-    this.dragVelocity.set(0, 0);
+  getHeldBalls() {
+    return Array.from(this.drags.values(), drag => drag.ball);
   }
 
-  onTouchStart(event) {
-    event.preventDefault();
-    if (event.touches.length > 0) {
-      const touch = event.touches[0];
-      this.onPointerDown({
-        clientX: touch.clientX,
-        clientY: touch.clientY
-      });
+  // Keyboard
+
+  onFocus() {
+    this.requestRender();
+    // A click also focuses the canvas; only keyboard focus shows the ring
+    let keyboardFocus = true;
+    try {
+      keyboardFocus = this.canvas.matches(':focus-visible');
+    } catch (e) {
+      // Older engines without :focus-visible
     }
+    if (!keyboardFocus) return;
+
+    this.keyboard.visible = true;
+    if (this.keyboard.index === -1 && this.balls.length > 0) this.selectBall(0);
   }
 
-  onTouchMove(event) {
-    if (this.isDragging) {
-      event.preventDefault();
+  onBlur() {
+    this.requestRender();
+    if (this.keyboard.aiming) this.dropKeyboardBall();
+    this.keyboard.visible = false;
+  }
+
+  onKeyDown(event) {
+    if (this.balls.length === 0) return;
+    this.keyboard.visible = true;
+    this.requestRender();
+
+    if (this.keyboard.aiming) {
+      this.onAimKey(event);
+      return;
     }
-    if (event.touches.length > 0) {
-      const touch = event.touches[0];
-      this.onPointerMove({
-        clientX: touch.clientX,
-        clientY: touch.clientY
-      });
+
+    const count = this.balls.length;
+    const index = this.keyboard.index;
+
+    switch (event.key) {
+      case 'Tab': {
+        const next = index + (event.shiftKey ? -1 : 1);
+        // Past either end, Tab leaves the playground as usual
+        if (index !== -1 && (next < 0 || next >= count)) {
+          this.keyboard.index = -1;
+          return;
+        }
+        this.selectBall(index === -1 ? (event.shiftKey ? count - 1 : 0) : next);
+        break;
+      }
+      case 'ArrowRight':
+      case 'ArrowDown':
+        this.selectBall((index + 1) % count);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        this.selectBall((index - 1 + count) % count);
+        break;
+      case 'Enter':
+      case ' ':
+        if (index === -1) this.selectBall(0);
+        if (this.reducedMotion) {
+          this.nudgeBall(this.getSelectedBall(), 0, 1);
+          this.announce(`Nudged ball ${this.keyboard.index + 1}`);
+        } else {
+          this.pickUpKeyboardBall();
+        }
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+
+  onAimKey(event) {
+    const kb = this.keyboard;
+
+    switch (event.key) {
+      case 'ArrowLeft':
+        kb.angle = (kb.angle + AIM_STEP) % 360;
+        break;
+      case 'ArrowRight':
+        kb.angle = (kb.angle - AIM_STEP + 360) % 360;
+        break;
+      case 'ArrowUp':
+        kb.power = Math.min(MAX_POWER, kb.power + 1);
+        break;
+      case 'ArrowDown':
+        kb.power = Math.max(1, kb.power - 1);
+        break;
+      case 'Enter':
+      case ' ':
+        this.throwKeyboardBall();
+        event.preventDefault();
+        return;
+      case 'Escape':
+      case 'Tab':
+        this.dropKeyboardBall();
+        if (event.key === 'Tab') this.onKeyDown(event);
+        else event.preventDefault();
+        return;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    this.announce(`Aiming ${this.getAimDirection()}, power ${kb.power} of ${MAX_POWER}`);
+  }
+
+  getSelectedBall() {
+    return this.balls[this.keyboard.index] || null;
+  }
+
+  selectBall(index) {
+    this.keyboard.index = index;
+    this.announce(`Ball ${index + 1} of ${this.balls.length} selected`);
+  }
+
+  getAimDirection() {
+    return DIRECTIONS[Math.round(this.keyboard.angle / 45) % DIRECTIONS.length];
+  }
+
+  pickUpKeyboardBall() {
+    const ball = this.getSelectedBall();
+    if (!ball) return;
+
+    // Held by a finger or the mouse: leave it there
+    for (const drag of this.drags.values()) {
+      if (drag.ball === ball) return;
     }
+
+    const { x, y } = ball.body.position;
+    this.drags.set(KEYBOARD_POINTER, { ball, holdX: x, holdY: y });
+    this.keyboard.aiming = true;
+    this.sim.grabBall(ball);
+    this.announce(`Picked up ball ${ball.index + 1}. Left and right arrows aim, up and down set power, Enter throws, Escape drops.`);
   }
 
-  onTouchEnd() {
-    this.onPointerUp();
+  // Called every frame while aiming so gravity doesn't pull the ball away
+  holdKeyboardBall() {
+    const drag = this.drags.get(KEYBOARD_POINTER);
+    if (drag) this.sim.dragBall(drag.ball, drag.holdX, drag.holdY);
+  }
+
+  throwKeyboardBall() {
+    const drag = this.drags.get(KEYBOARD_POINTER);
+    this.keyboard.aiming = false;
+    if (!drag) return;
+
+    this.drags.delete(KEYBOARD_POINTER);
+    const angle = this.keyboard.angle * Math.PI / 180;
+    const speed = this.keyboard.power * 10;
+    this.sim.throwBall(drag.ball, Math.cos(angle) * speed, Math.sin(angle) * speed);
+    this.announce(`Threw ball ${drag.ball.index + 1} ${this.getAimDirection()}`);
+  }
+
+  dropKeyboardBall() {
+    const drag = this.drags.get(KEYBOARD_POINTER);
+    this.keyboard.aiming = false;
+    if (!drag) return;
+
+    this.drags.delete(KEYBOARD_POINTER);
+    this.announce(`Dropped ball ${drag.ball.index + 1}`);
+  }
+
+  // Reduced motion
+
+  isReducedMotion() {
+    return this.reducedMotion;
+  }
+
+  setReducedMotion(enabled) {
+    if (this.reducedMotion === Boolean(enabled)) return;
+    this.reducedMotion = Boolean(enabled);
+    // Either way the loop has to run: to animate again, or to draw the settled layout
+    this.requestRender();
+    if (!this.reducedMotion) return;
+
+    // Let go of anything held and jump straight to the resting layout
+    this.drags.clear();
+    this.keyboard.aiming = false;
+    this.sim.settle();
+  }
+
+  // One small push in (dx, dy), resolved instantly: the ball just appears in its new spot
+  nudgeBall(ball, dx, dy) {
+    const length = Math.hypot(dx, dy) || 1;
+    const speed = ball.radius * 3;
+    this.sim.nudgeBall(ball, dx / length * speed, dy / length * speed);
+    this.sim.settle();
+    this.requestRender();
+  }
+
+  announce(message) {
+    // Clear now and write on a later task: a same-task rewrite is one change to
+    // screen readers, so repeating a message wouldn't be read out again
+    clearTimeout(this.announceTimer);
+    this.liveRegion.textContent = '';
+    this.announceTimer = setTimeout(() => {
+      this.liveRegion.textContent = message;
+    }, ANNOUNCE_DELAY);
+  }
+
+  updateFocusRing() {
+    const ball = this.keyboard.visible ? this.getSelectedBall() : null;
+    this.focusRing.visible = Boolean(ball);
+    this.aimArrow.visible = Boolean(ball) && this.keyboard.aiming;
+    if (!ball) return;
+
+    const { x, y } = ball.body.position;
+    // In front of the ball so the ring is never hidden behind it
+    this.focusRing.position.set(x, y, ball.radius + 1);
+    this.focusRing.scale.setScalar(ball.radius);
+
+    if (this.aimArrow.visible) {
+      const angle = this.keyboard.angle * Math.PI / 180;
+      const length = ball.radius * (1.5 + this.keyboard.power * 0.5);
+      this.aimArrow.position.set(x, y, ball.radius + 1);
+      this.aimArrow.setDirection(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0));
+      this.aimArrow.setLength(length, ball.radius * 0.4, ball.radius * 0.3);
+    }
   }
 
   onDeviceOrientation(event) {
@@ -482,7 +862,7 @@ class NeoballPhysics {
     const gravityX = gamma * 0.4;
     const gravityY = this.config.gravity + beta * 0.3;
 
-    this.world.gravity.set(gravityX, Math.min(gravityY, -3), 0);
+    this.sim.world.gravity.set(gravityX, Math.min(gravityY, -3), 0);
   }
 
   onResize() {
@@ -499,38 +879,27 @@ class NeoballPhysics {
     this.camera.updateProjectionMatrix();
 
     // Update renderer
-    this.renderer.setSize(width, height);
+    this.renderer?.setSize(width, height);
 
     // Update container height for mobile browsers
     this.containerEl.style.height = `${height}px`;
 
     // Update wall positions
     this.updateBoundaries();
+    this.requestRender();
   }
 
   onVisibilityChange() {
     if (document.hidden) {
       this.clock.stop();
-    } else {
+    } else if (!this.paused) {
       this.clock.start();
+      this.resetFpsCounter();
     }
   }
 
   updateBoundaries() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    const wallThickness = 100;
-
-    const positions = [
-      [0, -height/2 - wallThickness/2, 0],
-      [0, height/2 + wallThickness/2, 0],
-      [-width/2 - wallThickness/2, 0, 0],
-      [width/2 + wallThickness/2, 0, 0]
-    ];
-
-    this.walls.forEach((wall, i) => {
-      wall.position.set(...positions[i]);
-    });
+    this.sim.resize(window.innerWidth, window.innerHeight);
   }
 
   vibrate(duration = 10) {
@@ -543,114 +912,171 @@ class NeoballPhysics {
     }
   }
 
-  animate() {
-    if (document.hidden) {
-      requestAnimationFrame(this.animate.bind(this));
+  step(delta = 1 / 60) {
+    this.sim.step(delta);
+  }
+
+  syncBalls() {
+    // Sync meshes (or instances) with physics bodies
+    if (this.config.instanced) {
+      for (let i = 0; i < this.balls.length; i++) {
+        const ball = this.balls[i];
+        this.instances.setTransform(ball.instanceId, ball.body.position, ball.body.quaternion, ball.radius);
+      }
+      this.instances.update();
       return;
     }
 
-    requestAnimationFrame(this.animate.bind(this));
-
-    // Fixed timestep physics
-    const delta = this.clock.getDelta();
-    const timeStep = 1 / 60;
-    const maxSubSteps = this._isMobile ? 2 : 3;
-
-    this.world.step(timeStep, delta, maxSubSteps);
-
-    // Sync meshes with physics bodies
     for (let i = 0; i < this.balls.length; i++) {
       const ball = this.balls[i];
       ball.mesh.position.copy(ball.body.position);
       ball.mesh.quaternion.copy(ball.body.quaternion);
     }
+  }
+
+  animate() {
+    this.rafId = requestAnimationFrame(this.animate);
+    if (document.hidden) return;
+
+    const delta = this.clock.getDelta();
+    let changed = true;
+    if (this.reducedMotion) {
+      // Nothing animates: once scrolling stops, moved colliders get a new resting
+      // layout, worked out a few steps per frame
+      if (this.domColliders.updateWhenIdle()) this.sim.beginSettle();
+      changed = this.needsRender || this.sim.isSettlePending();
+      this.sim.continueSettle();
+    } else {
+      this.domColliders.update();
+      this.holdKeyboardBall();
+      this.step(delta);
+    }
+    this.needsRender = false;
+
+    if (changed) {
+      this.syncBalls();
+      this.updateFocusRing();
 
-    // Render
-    this.renderer.render(this.scene, this.camera);
+      // Render
+      this.renderer.render(this.scene, this.camera);
+    }
 
-    // FPS monitoring (debug)
+    // FPS monitoring (drives the quality governor)
     this.frameCount++;
     const now = performance.now();
     if (now - this.lastFpsUpdate > 1000) {
       this.fps = this.frameCount;
       this.frameCount = 0;
       this.lastFpsUpdate = now;
+      this.governor?.sample(this.fps);
+    }
+
+    // Reduced motion: the settled layout is on screen, so sleep until requestRender()
+    if (this.reducedMotion && !this.needsRender && !this.sim.isSettlePending() && !this.domColliders.dirty) {
+      this.stopLoop();
     }
   }
 
-  // Public API
+  /**
+   * Draws a frame even in reduced motion, waking the loop if it was asleep.
+   * Called on resize, quality changes, nudges and keyboard focus.
+   */
+  requestRender() {
+    this.needsRender = true;
+    this.wake();
+  }
 
-  addBall() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    const x = (Math.random() - 0.5) * width * 0.5;
-    const y = height / 3;
+  // Restarts a sleeping loop; animate() decides whether its frames need drawing
+  wake() {
+    if (this.rafId !== null || !this.ready || this.paused || this.destroyed || this.config.headless) return;
+    // Time asleep is neither simulated nor counted as a slow second
+    this.clock.getDelta();
+    this.resetFpsCounter();
+    this.animate();
+  }
 
-    const geometry = new THREE.SphereGeometry(
-      this.config.ballRadius,
-      this._isMobile ? 24 : 32,
-      this._isMobile ? 24 : 32
-    );
+  stopLoop() {
+    if (this.rafId !== null) cancelAnimationFrame(this.rafId);
+    this.rafId = null;
+  }
 
-    const material = this.ballTextureMap
-      ? new THREE.MeshStandardMaterial({ map: this.ballTextureMap, roughness: 0.5, metalness: 0.05 })
-      : new THREE.MeshStandardMaterial({ color: 0x00FFFF, roughness: 0.5, metalness: 0.05 });
+  resetFpsCounter() {
+    // Hidden or paused time must not count as a slow second
+    this.frameCount = 0;
+    this.lastFpsUpdate = performance.now();
+  }
 
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(x, y, 0);
-    mesh.rotation.set(Math.random() * Math.PI * 2, Math.random() * Math.PI * 2, 0);
-    this.scene.add(mesh);
+  // Adaptive quality
 
-    const shape = new CANNON.Sphere(this.config.ballRadius);
-    const body = new CANNON.Body({
-      mass: 1,
-      material: this.ballMaterial,
-      linearDamping: this.config.linearDamping,
-      angularDamping: this.config.angularDamping,
-      collisionFilterGroup: 1,
-      collisionFilterMask: 1 | 2
-    });
-    body.addShape(shape);
-    body.position.set(x, y, 0);
-    this.world.addBody(body);
+  applyQualityTier(tier) {
+    const base = this.baseQuality;
+    this.renderer?.setPixelRatio(Math.max(1, base.pixelRatio * tier.pixelRatio));
+    this.sim.world.solver.iterations = scaleSetting(base.solverIterations, tier.solverIterations, 3);
+    this.sim.config.maxSubSteps = scaleSetting(base.maxSubSteps, tier.maxSubSteps, 1);
+    this.setActiveBallCount(scaleSetting(base.ballCount, tier.ballCount, 1));
+    this.requestRender();
+  }
 
-    this.balls.push({ mesh, body, index: this.balls.length });
+  // Culls balls off the end (keeping their records) or brings culled ones back
+  setActiveBallCount(count) {
+    while (this.balls.length > count) {
+      const ball = this.sim.removeBall();
+      if (this.config.instanced) {
+        this.instances.removeLast();
+      } else {
+        this.scene.remove(ball.mesh);
+      }
+      for (const [pointerId, drag] of this.drags) {
+        if (drag.ball === ball) this.drags.delete(pointerId);
+      }
+      this.culledBalls.push(ball);
+    }
+
+    while (this.balls.length < count && this.culledBalls.length > 0) {
+      const ball = this.sim.restoreBall(this.culledBalls.pop());
+      if (this.config.instanced) {
+        ball.instanceId = this.instances.add(0);
+      } else {
+        this.scene.add(ball.mesh);
+      }
+    }
+  }
+
+  getQualityTier() {
+    return this.governor ? this.governor.getTier() : null;
+  }
+
+  // Public API
+
+  addBall() {
+    const ball = this.sim.addBall({ textureIndex: 0 });
+    this.createBallMesh(ball);
     return this.balls.length;
   }
 
   removeBall() {
-    if (this.balls.length > 0) {
-      const ball = this.balls.pop();
+    const ball = this.sim.removeBall();
+    if (ball && this.config.instanced) {
+      this.instances.removeLast();
+    } else if (ball) {
       this.scene.remove(ball.mesh);
-      this.world.removeBody(ball.body);
-      ball.mesh.geometry.dispose();
-      if (ball.mesh.material.map) {
-        // Don't dispose shared texture
-      }
+      // Don't dispose shared geometry or texture
       ball.mesh.material.dispose();
     }
     return this.balls.length;
   }
 
   applyImpulseToAll(force = { x: 0, y: 500, z: 0 }) {
-    const impulse = new CANNON.Vec3(force.x, force.y, force.z);
-    this.balls.forEach(ball => {
-      ball.body.wakeUp();
-      ball.body.applyImpulse(impulse, ball.body.position);
-      // Add random spin
-      ball.body.angularVelocity.set(
-        (Math.random() - 0.5) * 10,
-        (Math.random() - 0.5) * 10,
-        (Math.random() - 0.5) * 10
-      );
-    });
+    this.sim.applyImpulseToAll(force);
     this.vibrate(20);
   }
 
   setGravity(x, y) {
-    this.world.gravity.set(x, y, 0);
-    // Wake all balls
-    this.balls.forEach(ball => ball.body.wakeUp());
+    this.sim.setGravity(x, y);
+  }
+
+  getBallState() {
+    return this.sim.getState();
   }
 
   getBallCount() {
@@ -661,25 +1087,63 @@ class NeoballPhysics {
     return this.fps;
   }
 
+  // Lifecycle
+
+  pause() {
+    if (this.paused || this.destroyed) return;
+    this.paused = true;
+    this.stopLoop();
+    this.clock.stop();
+  }
+
+  resume() {
+    if (!this.paused || this.destroyed) return;
+    this.paused = false;
+    // Start the clock fresh so the paused time isn't simulated in one step
+    this.clock.start();
+    this.resetFpsCounter();
+    this.domColliders.reset();
+    this.needsRender = true;
+    if (this.ready && !this.config.headless) this.animate();
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
   destroy() {
+    if (this.destroyed) return;
+    this.pause();
+    this.destroyed = true;
+
     // Remove event listeners
-    window.removeEventListener('resize', this.onResize.bind(this));
-    window.removeEventListener('mousemove', this.onPointerMove.bind(this));
-    window.removeEventListener('mouseup', this.onPointerUp.bind(this));
-    window.removeEventListener('touchmove', this.onTouchMove.bind(this));
-    window.removeEventListener('touchend', this.onTouchEnd.bind(this));
-    document.removeEventListener('visibilitychange', this.onVisibilityChange.bind(this));
-
-    // Cleanup balls
+    this.unbindEvents();
+    clearTimeout(this.announceTimer);
+    this.domColliders.destroy();
+    this.motionWatcher?.stop();
+    this.sound?.destroy();
+    this.drags.clear();
+
+    // Cleanup balls (including any culled by the quality governor)
+    this.governor?.removeAllListeners();
+    this.removeAllListeners();
+    this.balls.push(...this.culledBalls.splice(0));
     this.balls.forEach(ball => {
+      if (!ball.mesh) return;
       this.scene.remove(ball.mesh);
-      this.world.removeBody(ball.body);
-      ball.mesh.geometry.dispose();
       ball.mesh.material.dispose();
     });
-
-    // Cleanup renderer
-    this.renderer.dispose();
+    this.instances?.dispose();
+    this.ballGeometry?.dispose();
+    this.ballTextureMap?.dispose();
+    this.focusRing.geometry.dispose();
+    this.focusRing.material.dispose();
+    this.aimArrow.dispose();
+    this.sim.destroy();
+
+    // Cleanup renderer and release the WebGL context right away
+    this.renderer?.dispose();
+    this.renderer?.forceContextLoss();
     this.containerEl.remove();
 
     console.log('Neoball Physics destroyed');
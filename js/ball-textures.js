@@ -0,0 +1,101 @@
+/**
+ * Ball texture sets
+ * Which ball designs an overlay draws and how many of each: plain URLs, or
+ * entries with a weight or fixed count and optional per-design radius/mass
+ * (colorway launches mix a hero design with a few of the others).
+ */
+
+// The six stock designs (two of each unless ballCount says otherwise)
+export const DEFAULT_BALL_TEXTURES = [
+  { path: './balls/balls1.webp' },
+  { path: './balls/balls2.webp' },
+  { path: './balls/balls3.webp' },
+  { path: './balls/balls4.webp' },
+  { path: './balls/balls5.webp' },
+  { path: './balls/balls6.webp' }
+];
+
+/**
+ * Normalizes a `textures` option: strings become `{ path }`, `url` is accepted
+ * for `path`, and every entry gets a weight (default 1). `count`, `radius` and
+ * `mass` stay undefined unless given.
+ */
+export function resolveTextureSet(textures = DEFAULT_BALL_TEXTURES) {
+  return textures
+    .map(entry => (typeof entry === 'string' ? { path: entry } : entry))
+    .filter(entry => entry && (entry.path || entry.url))
+    .map(entry => ({
+      path: entry.path ?? entry.url,
+      weight: Math.max(0, entry.weight ?? 1),
+      count: entry.count === undefined ? undefined : Math.max(0, Math.floor(entry.count)),
+      radius: entry.radius,
+      mass: entry.mass
+    }));
+}
+
+// Ball count when none is configured: the fixed counts, plus two per weighted entry
+export function getDefaultBallCount(entries) {
+  return entries.reduce((sum, entry) => sum + (entry.count ?? 2), 0);
+}
+
+/**
+ * Splits `total` into whole numbers proportional to `shares` (largest
+ * remainder). Ties for the leftover units go in random order so small counts
+ * don't always favour the first designs.
+ */
+function apportion(total, shares, random) {
+  const sum = shares.reduce((a, b) => a + b, 0);
+  if (sum <= 0 || total <= 0) return shares.map(() => 0);
+
+  const exact = shares.map(share => (total * share) / sum);
+  const result = exact.map(Math.floor);
+  let left = total - result.reduce((a, b) => a + b, 0);
+
+  const order = shares.map((_, i) => i);
+  shuffle(order, random);
+  order.sort((a, b) => (exact[b] - result[b]) - (exact[a] - result[a]));
+  for (const i of order) {
+    if (left === 0) break;
+    if (shares[i] > 0) {
+      result[i]++;
+      left--;
+    }
+  }
+  return result;
+}
+
+function shuffle(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * Shuffled list of `ballCount` entry indices. Entries with a `count` get
+ * exactly that many; the rest of the balls are shared out by `weight` among
+ * entries without one. If there are none, or the counts don't fit, the counted
+ * entries are repeated or trimmed in proportion to their counts.
+ */
+export function buildTextureSequence(entries, ballCount, random = Math.random) {
+  const total = Math.max(0, Math.floor(ballCount));
+  const fixed = entries.map(entry => entry.count ?? 0);
+  const fixedTotal = fixed.reduce((a, b) => a + b, 0);
+  const weights = entries.map(entry => (entry.count === undefined ? entry.weight : 0));
+  const weighted = weights.some(weight => weight > 0);
+
+  let counts;
+  if (fixedTotal > total || (!weighted && fixedTotal !== total)) {
+    counts = apportion(total, fixedTotal > 0 ? fixed : entries.map(() => 1), random);
+  } else {
+    const extra = apportion(total - fixedTotal, weights, random);
+    counts = fixed.map((count, i) => count + extra[i]);
+  }
+
+  const sequence = [];
+  counts.forEach((count, index) => {
+    for (let i = 0; i < count; i++) sequence.push(index);
+  });
+  return shuffle(sequence, random);
+}
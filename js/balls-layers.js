@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+
+/**
+ * Neoball Layer Manager
+ * One WebGLRenderer, one texture cache and one animation loop shared by every
+ * NeoballBallsOverlay on the page. Each layer still owns its scene, camera and
+ * physics world. Only the screen rect its balls cover is rendered, and that rect
+ * is copied into a canvas of the same size in the layer's own DOM container
+ * (#ballsBack / #ballsFront around the BUY NOW button).
+ */
+export class NeoballLayerManager {
+  constructor(options = {}) {
+    this._isMobile = this.detectMobile();
+
+    this.config = {
+      maxPixelRatio: options.maxPixelRatio ?? 2,
+      // Only track layers (for picking): no renderer and no animation loop (tests)
+      headless: options.headless ?? false,
+      ...options
+    };
+
+    this.layers = [];
+    // Per-layer pixel ratio scale from each layer's quality governor
+    this.pixelRatioScales = new Map();
+    this.textureCache = new Map();
+    this.renderer = null;
+    this.clock = new THREE.Clock();
+    this.rafId = null;
+
+    this.animate = this.animate.bind(this);
+    this._onResize = () => this.setSize();
+  }
+
+  detectMobile() {
+    return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent)
+      || window.innerWidth < 768
+      || ('ontouchstart' in window);
+  }
+
+  getRenderer() {
+    if (this.renderer || this.config.headless) return this.renderer;
+
+    // Offscreen: layers copy the result into their own canvases
+    this.renderer = new THREE.WebGLRenderer({
+      alpha: true,
+      antialias: !this._isMobile,
+      powerPreference: this._isMobile ? 'low-power' : 'high-performance'
+    });
+    this.renderer.setClearColor(0x000000, 0);
+
+    // Helps correct draw ordering when multiple sprites overlap
+    this.renderer.sortObjects = true;
+    // Each layer draws (and clears) only its own rect, see renderLayer()
+    this.renderer.setScissorTest(true);
+
+    this.setSize();
+    window.addEventListener('resize', this._onResize);
+    return this.renderer;
+  }
+
+  getPixelRatio() {
+    // The renderer is shared, so the most constrained layer wins
+    const scale = Math.min(1, ...this.pixelRatioScales.values());
+    const ratio = Math.min(window.devicePixelRatio, this.config.maxPixelRatio);
+    return Math.max(Math.min(1, ratio), ratio * scale);
+  }
+
+  setPixelRatioScale(layer, scale) {
+    this.pixelRatioScales.set(layer, scale);
+    this.setSize();
+  }
+
+  setSize() {
+    if (!this.renderer) return;
+    this.renderer.setPixelRatio(this.getPixelRatio());
+    // updateStyle=false: the shared canvas is never in the DOM
+    this.renderer.setSize(window.innerWidth, window.innerHeight, false);
+  }
+
+  /**
+   * Loads a texture once per page. `transform` (e.g. normalizeBallTexture) runs
+   * on the first load only; later callers get the same cached result.
+   * Resolves to null if the image fails to load.
+   */
+  loadTexture(path, transform) {
+    if (!this.textureCache.has(path)) {
+      const promise = new Promise((resolve) => {
+        new THREE.TextureLoader().load(path, (texture) => {
+          resolve(transform ? transform(texture) : texture);
+        }, undefined, () => resolve(null));
+      });
+      this.textureCache.set(path, promise);
+    }
+    return this.textureCache.get(path);
+  }
+
+  // Layers register before their textures load, so dispose() can't pull the
+  // cached textures out from under one that is still initializing
+  addLayer(layer) {
+    if (this.layers.includes(layer)) return;
+    this.layers.push(layer);
+    this.getRenderer();
+    this.start();
+  }
+
+  removeLayer(layer) {
+    const index = this.layers.indexOf(layer);
+    if (index === -1) return;
+    this.layers.splice(index, 1);
+    this.pixelRatioScales.delete(layer);
+    this.setSize();
+
+    // Last layer gone (SPA route change): free the GPU
+    if (this.layers.length === 0) this.dispose();
+  }
+
+  // Topmost interactive layer with a ball under the point (front layers win)
+  pickBall(clientX, clientY) {
+    const layers = this.layers
+      .filter(layer => layer.config.interactive && layer.isActive())
+      .sort((a, b) => b.config.zOffset - a.config.zOffset);
+
+    for (const layer of layers) {
+      const ball = layer.pickBall(clientX, clientY);
+      if (ball) return { layer, ball };
+    }
+    return null;
+  }
+
+  // Called again by a layer once it is ready or resumed; no-op while running
+  start() {
+    if (this.rafId !== null || this.config.headless) return;
+    this.clock.start();
+    this.animate();
+  }
+
+  stop() {
+    if (this.rafId !== null) cancelAnimationFrame(this.rafId);
+    this.rafId = null;
+    this.clock.stop();
+  }
+
+  // Every layer paused, still loading or showing a settled reduced-motion layout:
+  // sleep until one of them calls start(). Returns true if the loop was stopped
+  stopIfIdle() {
+    if (this.layers.some(layer => layer.needsFrame())) return false;
+    this.stop();
+    return true;
+  }
+
+  animate() {
+    if (this.stopIfIdle()) return;
+
+    this.rafId = requestAnimationFrame(this.animate);
+
+    const delta = this.clock.getDelta();
+
+    for (const layer of this.layers) {
+      if (!layer.needsFrame()) continue;
+      // Unchanged layers keep their last frame on screen
+      if (layer.update(delta)) this.renderLayer(layer);
+    }
+
+    // Don't wake up for a frame nobody needs
+    this.stopIfIdle();
+  }
+
+  // Renders the layer's screen rect into the bottom-left corner of the drawing buffer
+  renderLayer(layer) {
+    const bounds = layer.getScreenBounds();
+    if (!bounds) {
+      layer.present(null);
+      return;
+    }
+
+    const { x, y, width, height } = bounds;
+    const renderer = this.renderer;
+    layer.camera.setViewOffset(window.innerWidth, window.innerHeight, x, y, width, height);
+    renderer.setViewport(0, 0, width, height);
+    renderer.setScissor(0, 0, width, height);
+    renderer.render(layer.scene, layer.camera);
+    // Picking raycasts through the full-screen projection
+    layer.camera.clearViewOffset();
+
+    layer.present(renderer.domElement, bounds, renderer.getPixelRatio());
+  }
+
+  dispose() {
+    this.stop();
+    window.removeEventListener('resize', this._onResize);
+
+    this.textureCache.forEach(promise => promise.then(texture => texture?.dispose()));
+    this.textureCache.clear();
+
+    if (this.renderer) {
+      this.renderer.dispose();
+      this.renderer.forceContextLoss();
+      this.renderer = null;
+    }
+  }
+}
+
+let sharedManager = null;
+
+// Page-wide manager used by overlays that don't pass their own
+export function getSharedLayerManager() {
+  if (!sharedManager) sharedManager = new NeoballLayerManager();
+  return sharedManager;
+}
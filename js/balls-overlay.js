@@ -1,29 +1,52 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
-
-// Ball texture configurations - 6 unique textures, 2 of each = 12 balls
-// We normalize textures at load time so every ball has the same visual diameter.
-const BALL_TEXTURES = [
-  { path: './balls/balls1.webp' },
-  { path: './balls/balls2.webp' },
-  { path: './balls/balls3.webp' },
-  { path: './balls/balls4.webp' },
-  { path: './balls/balls5.webp' },
-  { path: './balls/balls6.webp' }
-];
-
-// Number of balls per texture (2 of each = 12 total)
-const BALLS_PER_TEXTURE = 2;
+import { createRandom, isSeeded } from './seeded-random.js';
+import { NeoballSimulation, BALL_EVENTS, GROUP_BALL, GROUP_WALL } from './physics-core.js';
+import { NeoballLayerManager, getSharedLayerManager } from './balls-layers.js';
+import { InstancedBalls, createTextureAtlas } from './instanced-balls.js';
+import { QualityGovernor, scaleSetting } from './quality-governor.js';
+import { DomColliders } from './dom-colliders.js';
+import { Emitter } from './emitter.js';
+import { watchReducedMotion } from './reduced-motion.js';
+import { resolveTextureSet, getDefaultBallCount, buildTextureSequence } from './ball-textures.js';
+
+// Share of the normalized texture the ball disc fills (see normalizeBallTexture)
+const BALL_TEXTURE_FILL = 0.86;
 
 // Unique instance id counter (supports multiple overlays on the same page)
 let OVERLAY_INSTANCE_ID = 0;
 
-export class NeoballBallsOverlay {
+/**
+ * Unit sphere whose UVs project the flat ball photo straight onto the front
+ * hemisphere (and mirrored onto the back), so a normalized texture reads the
+ * same as the sprite when facing the camera and shows real rotation as it rolls.
+ */
+function createBallGeometry(segments) {
+  const geometry = new THREE.SphereGeometry(1, segments, segments);
+  const normal = geometry.attributes.normal;
+  const uv = geometry.attributes.uv;
+  const fill = BALL_TEXTURE_FILL / 2;
+  for (let i = 0; i < uv.count; i++) {
+    uv.setXY(i, 0.5 + normal.getX(i) * fill, 0.5 + normal.getY(i) * fill);
+  }
+  uv.needsUpdate = true;
+  return geometry;
+}
+
+/**
+ * Emits grab, throw, collide and wallhit (see BALL_EVENTS in physics-core.js)
+ * plus qualitychange: `layer.on('wallhit', e => ...)`. Never `sleep`: the
+ * drifting gravity keeps every ball moving, so the overlay world doesn't sleep.
+ */
+export class NeoballBallsOverlay extends Emitter {
   constructor(options = {}) {
+    super();
+
     this._isMobile = this.detectMobile();
 
-    // Calculate total balls: 6 textures × 2 each = 12
-    const defaultBallCount = BALL_TEXTURES.length * BALLS_PER_TEXTURE;
+    // Ball designs (see ball-textures.js); textures are normalized at load time
+    // so every ball has the same visual diameter at a given radius
+    this.textureSet = resolveTextureSet(options.textures);
 
     this.instanceId = ++OVERLAY_INSTANCE_ID;
 
@@ -39,9 +62,11 @@ export class NeoballBallsOverlay {
       // This is subtle but helps depth and avoids z-sorting weirdness.
       zOffset: options.zOffset ?? 0,
 
-      // Ball settings
-      ballCount: options.ballCount ?? defaultBallCount,
+      // Ball settings. `textures` takes URLs or { path, weight | count, radius, mass }
+      // entries; any ballCount is reached by repeating designs by weight.
+      ballCount: options.ballCount ?? getDefaultBallCount(this.textureSet),
       ballRadius: options.ballRadius ?? 1.0,
+      ballMass: options.ballMass ?? 50,
 
       gravity: 0,
 
@@ -52,23 +77,108 @@ export class NeoballBallsOverlay {
       oscGravity: options.oscGravity ?? 0.015,
       velocityFromPositionScale: options.velocityFromPositionScale ?? 0.2,
 
+      // Collider that follows each mouse/pen/touch point and pushes balls: 'box' or 'circle'
+      pointerShape: options.pointerShape ?? 'box',
+      // Box side or circle diameter, in world units
+      pointerSize: options.pointerSize ?? (options.ballRadius ?? 1.0) * 3,
+
+      // Opt-in: click/touch a ball to pick it up and throw it. Presses that miss
+      // every ball still reach the page (#buyBtn etc.) since the canvas never takes events.
+      interactive: options.interactive ?? false,
+      // Held balls chase the pointer at this rate (1/s); throws are capped in world units/s
+      dragFollow: options.dragFollow ?? 12,
+      maxThrowVelocity: options.maxThrowVelocity ?? 40,
+
+      // Seed for reproducible layouts and motion (undefined = Math.random)
+      seed: options.seed,
+
+      // Draw all balls with one InstancedMesh + texture atlas instead of one sprite each
+      instanced: options.instanced ?? false,
+
+      // 'sprite': flat ball photo with a fake spin; 'sphere': textured spheres that
+      // turn with the body's angularVelocity (works with `instanced` too)
+      ballStyle: options.ballStyle ?? 'sprite',
+      // Spheres: rate (1/s) at which spin is steered toward rolling along the direction of travel
+      rollFollow: options.rollFollow ?? 6,
+
+      // Step quality down/up from the measured FPS (see QualityGovernor); off for seeded replays
+      adaptiveQuality: options.adaptiveQuality ?? !isSeeded(options.seed),
+      targetFps: options.targetFps ?? 50,
+
+      // Page elements the balls rest on (selectors or elements, e.g. ['#buyBtn'] or ['.atc-btn'])
+      colliders: options.colliders ?? [],
+      // Velocity added per world unit the page scrolls in a frame, capped at maxScrollVelocity
+      scrollMomentum: options.scrollMomentum ?? 8,
+      maxScrollVelocity: options.maxScrollVelocity ?? 30,
+
+      // 'auto' follows prefers-reduced-motion; true/false forces it
+      reducedMotion: options.reducedMotion ?? 'auto',
+
+      // No canvas, textures or drawing: physics and input handling only (tests)
+      headless: options.headless ?? false,
+
       // Optional: set a custom id/class on the created overlay element
       overlayId: options.overlayId ?? `neoball-balls-overlay-${this.instanceId}`,
       overlayClass: options.overlayClass ?? '',
 
+      // Renderer, texture cache and animation loop shared with the other layers
+      layerManager: options.layerManager
+        ?? (options.headless ? new NeoballLayerManager({ headless: true }) : getSharedLayerManager()),
+
       ...options
     };
 
+    this.random = createRandom(this.config.seed);
+    this._seeded = isSeeded(this.config.seed);
+
     this.balls = [];
     this.textures = [];
-    this.clock = new THREE.Clock();
+    // Sphere style only (see getBallGeometry)
+    this.ballGeometry = null;
+    this.sphereMaterials = [];
+    this.layerManager = this.config.layerManager;
     this._t = 0;
-    this.pointer = { x: 0, y: 0 };
-    this.hasPointer = false;
+    // Frame time not yet simulated; step() runs it off in fixed substeps
+    this.accumulator = 0;
+    // Pointer colliders keyed by pointerId ('touch:<identifier>' for touches)
+    this.pointers = new Map();
+    // Held balls (interactive mode), same keys
+    this.drags = new Map();
+    this.raycaster = new THREE.Raycaster();
+    this._pointerNdc = new THREE.Vector2();
+    // Set when a press grabbed a ball, so the click that follows doesn't hit the page
+    this.suppressClick = false;
 
     this.viewport = { width: 0, height: 0, aspect: 1 };
 
-    this.init();
+    // Adaptive quality: FPS is counted from the manager's update() calls
+    this.frameCount = 0;
+    this.lastFpsUpdate = 0;
+    this.fps = 60;
+    this.baseQuality = { solverIterations: 10, maxSubSteps: 3, ballCount: 0 };
+    this.culledBalls = [];
+    this.governor = this.config.adaptiveQuality
+      ? new QualityGovernor({ targetFps: this.config.targetFps })
+      : null;
+    this.governor?.on('tierchange', ({ tier, direction, fps }) => {
+      this.applyQualityTier(tier);
+      this.emit('qualitychange', { type: 'qualitychange', tier: tier.name, direction, fps });
+    });
+
+    // Lifecycle (the animation loop itself belongs to the layer manager)
+    this.ready = false;
+    this.paused = false;
+    this.destroyed = false;
+
+    // Reduced motion: balls hold a settled layout and only move by single-step nudges.
+    // Frames are only drawn when something changed (see requestRender)
+    this.reducedMotion = false;
+    this.motionWatcher = null;
+    this.needsRender = true;
+    this.asleep = false;
+
+    // Resolves once textures have loaded and the layer is registered
+    this.readyPromise = this.init();
   }
 
   detectMobile() {
@@ -82,12 +192,22 @@ export class NeoballBallsOverlay {
     this.createScene();
     this.setViewport();
     this.createPhysicsWorld();
-    this.createBoundaries();
-    this.createPointerCollider();
-    await this.loadAllTextures();
+    // Not drawn until ready, but keeps the shared textures alive while they load
+    this.layerManager.addLayer(this);
+    // Headless balls are drawn with no texture
+    if (!this.config.headless) await this.loadAllTextures();
+
+    // destroy() may have run while textures were loading
+    if (this.destroyed) return;
+
     this.createBalls();
+    this.baseQuality.ballCount = this.balls.length;
     this.bindEvents();
-    this.animate();
+    this.motionWatcher = watchReducedMotion(this.config.reducedMotion, enabled => this.setReducedMotion(enabled));
+    this.setReducedMotion(this.motionWatcher.enabled);
+    this.ready = true;
+    this.resetFpsCounter();
+    this.layerManager.start();
 
     // Expose for debugging
     window.neoballBalls = window.neoballBalls || [];
@@ -126,21 +246,15 @@ export class NeoballBallsOverlay {
     this.camera = new THREE.PerspectiveCamera(55, width / height, 0.1, 1000);
     this.camera.position.set(0, 0, 20);
 
-    this.renderer = new THREE.WebGLRenderer({
-      alpha: true,
-      antialias: !this._isMobile,
-      powerPreference: this._isMobile ? 'low-power' : 'high-performance'
-    });
-
-    this.renderer.setSize(width, height);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    this.renderer.setClearColor(0x000000, 0);
-    this.renderer.domElement.style.pointerEvents = 'none';
+    // The shared WebGL renderer draws offscreen; the rect around this layer's balls
+    // is copied into its own 2D canvas so it keeps its place in the CSS stacking order
+    if (!this.config.headless) {
+      this.canvas = document.createElement('canvas');
+      this.canvas.style.cssText = 'position:absolute;left:0;top:0;display:none;pointer-events:none;';
+      this.context2d = this.canvas.getContext('2d');
 
-    // Helps correct draw ordering when multiple sprites overlap
-    this.renderer.sortObjects = true;
-
-    this.containerEl.appendChild(this.renderer.domElement);
+      this.containerEl.appendChild(this.canvas);
+    }
 
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.9);
     this.scene.add(ambientLight);
@@ -173,75 +287,211 @@ export class NeoballBallsOverlay {
     this.viewport = { width: viewWidth, height: viewHeight, aspect: this.camera.aspect };
   }
 
+  getWallThickness() {
+    const ballDiameter = this.config.ballRadius * 2;
+    const boxSize = ballDiameter * 1.5;
+    return Math.max(boxSize, ballDiameter) * 1.1;
+  }
+
   createPhysicsWorld() {
-    this.world = new CANNON.World();
-    this.world.gravity.set(0, 0, 0);
-    this.world.broadphase = new CANNON.SAPBroadphase(this.world);
-    this.world.allowSleep = false;
-    this.world.solver.iterations = 10;
-    this.world.defaultContactMaterial.contactEquationStiffness = 1e6;
-    this.world.defaultContactMaterial.contactEquationRelaxation = 10;
-
-    this.ballMaterial = new CANNON.Material('ball');
-    this.wallMaterial = new CANNON.Material('wall');
-    this.pointerMaterial = new CANNON.Material('pointer');
+    const t = this.getWallThickness();
+
+    // World, walls and ball bodies live in the renderer-agnostic core
+    this.sim = new NeoballSimulation({
+      width: this.viewport.width,
+      height: this.viewport.height,
+      z: this.config.zOffset,
+      ballRadius: this.config.ballRadius,
+      ballMass: this.config.ballMass,
+      gravity: 0,
+      restitution: this.config.restitution,
+      friction: this.config.friction,
+      linearDamping: this.config.linearDamping,
+      angularDamping: this.config.angularDamping,
+      wallThickness: t,
+      wallDepth: t,
+      depthWalls: true,
+      solverIterations: this.baseQuality.solverIterations,
+      // Balls drift forever (oscGravity), so nothing ever sleeps
+      allowSleep: false,
+      contactStiffness: 1e6,
+      contactRelaxation: 10,
+      maxSubSteps: this.baseQuality.maxSubSteps,
+      dragFollow: this.config.dragFollow,
+      // Pointer velocity is measured in world units/s already
+      throwForce: 1,
+      maxThrowVelocity: this.config.maxThrowVelocity,
+      scrollMomentum: this.config.scrollMomentum,
+      maxScrollVelocity: this.config.maxScrollVelocity,
+      seed: this.config.seed,
+      random: this.random
+    });
 
-    this.world.addContactMaterial(new CANNON.ContactMaterial(
-      this.ballMaterial, this.ballMaterial,
-      { friction: this.config.friction, restitution: this.config.restitution }
-    ));
-    this.world.addContactMaterial(new CANNON.ContactMaterial(
-      this.ballMaterial, this.wallMaterial,
-      { friction: this.config.friction, restitution: this.config.restitution }
-    ));
+    this.world = this.sim.world;
+    this.walls = this.sim.walls;
+    this.balls = this.sim.balls;
+    this.ballMaterial = this.sim.ballMaterial;
+
+    // Let the host page hear about impacts (sleep can't happen here, see allowSleep)
+    BALL_EVENTS.filter(type => type !== 'sleep').forEach(type => this.sim.on(type, event => this.emit(type, event)));
+
+    // Measured at the balls' depth (zOffset), where they meet the boxes
+    this.domColliders = new DomColliders(this.sim, {
+      targets: this.config.colliders,
+      getScale: () => 1 / this.getPixelsPerUnit(),
+      // Moved boxes only re-settle (and draw) once the page is still
+      onDirty: () => this.wake()
+    });
+
+    this.pointerMaterial = new CANNON.Material('pointer');
     this.world.addContactMaterial(new CANNON.ContactMaterial(
       this.ballMaterial, this.pointerMaterial,
       { friction: this.config.friction, restitution: this.config.restitution }
     ));
   }
 
-  createPointerCollider() {
-    const ballDiameter = this.config.ballRadius * 2;
-    const boxSize = ballDiameter * 1.5;
-    const shape = new CANNON.Box(new CANNON.Vec3(boxSize / 2, boxSize / 2, ballDiameter));
+  // Pointers
+
+  createPointerBody() {
+    const size = this.config.pointerSize;
+    const shape = this.config.pointerShape === 'circle'
+      ? new CANNON.Sphere(size / 2)
+      : new CANNON.Box(new CANNON.Vec3(size / 2, size / 2, this.config.ballRadius * 2));
 
-    this.pointerBox = new CANNON.Body({
+    // Kinematic: moved by its velocity, so contacts see how fast the pointer is going
+    const body = new CANNON.Body({
       mass: 0,
       type: CANNON.Body.KINEMATIC,
-      material: this.pointerMaterial
+      material: this.pointerMaterial,
+      collisionFilterGroup: GROUP_WALL,
+      collisionFilterMask: GROUP_BALL
     });
+    body.addShape(shape);
+    this.sim.setSurfaceName(body, 'pointer');
+    return body;
+  }
 
-    this.pointerBox.addShape(shape);
-    this.pointerBox.position.set(99999, 99999, this.config.zOffset);
-    this.world.addBody(this.pointerBox);
+  setPointer(id, clientX, clientY) {
+    if (this.reducedMotion || this.drags.has(id)) return;
+
+    const p = this.getPointerWorld(clientX, clientY);
+    let pointer = this.pointers.get(id);
+    if (!pointer) {
+      // A new pointer appears where it is; only movement from here on carries velocity
+      const body = this.createPointerBody();
+      body.position.set(p.x, p.y, this.config.zOffset);
+      this.world.addBody(body);
+      pointer = { body, x: p.x, y: p.y };
+      this.pointers.set(id, pointer);
+    }
+    pointer.x = p.x;
+    pointer.y = p.y;
   }
 
-  createBoundaries() {
-    const ballDiameter = this.config.ballRadius * 2;
-    const boxSize = ballDiameter * 1.5;
-    const wallDepth = Math.max(boxSize, ballDiameter) * 1.1;
-    const t = wallDepth;
+  removePointer(id) {
+    const pointer = this.pointers.get(id);
+    if (!pointer) return;
+    this.world.removeBody(pointer.body);
+    this.pointers.delete(id);
+  }
 
-    const w = this.viewport.width;
-    const h = this.viewport.height;
+  clearPointers() {
+    [...this.pointers.keys()].forEach(id => this.removePointer(id));
+  }
 
-    const z = this.config.zOffset;
+  // Sweeps each pointer body to its latest position over the coming substep of `dt` seconds
+  updatePointers(dt) {
+    const max = this.getMaxPointerSpeed();
+    for (const { body, x, y } of this.pointers.values()) {
+      let vx = (x - body.position.x) / dt;
+      let vy = (y - body.position.y) / dt;
+      const speed = Math.hypot(vx, vy);
+      if (speed > max) {
+        // Catch up over the next frames rather than jump past a ball
+        vx *= max / speed;
+        vy *= max / speed;
+      }
+      body.velocity.set(vx, vy, 0);
+    }
+  }
 
-    const configs = [
-      { pos: [0, -h / 2 - t / 2, z], size: [w * 2, t, t] },
-      { pos: [0,  h / 2 + t / 2, z], size: [w * 2, t, t] },
-      { pos: [-w / 2 - t / 2, 0, z], size: [t, h * 2, t] },
-      { pos: [ w / 2 + t / 2, 0, z], size: [t, h * 2, t] },
-      { pos: [0, 0, z - t], size: [w * 2, h * 2, t] },
-      { pos: [0, 0, z + t], size: [w * 2, h * 2, t] }
-    ];
-
-    this.walls = configs.map((c) => {
-      const body = new CANNON.Body({ mass: 0, material: this.wallMaterial, position: new CANNON.Vec3(...c.pos) });
-      body.addShape(new CANNON.Box(new CANNON.Vec3(c.size[0] / 2, c.size[1] / 2, c.size[2] / 2)));
-      this.world.addBody(body);
-      return body;
-    });
+  // Interactive mode
+
+  // Ball under a viewport point: raycast against the sprites/spheres (or instances), round hit area only
+  pickBall(clientX, clientY) {
+    this._pointerNdc.set(clientX / window.innerWidth * 2 - 1, -(clientY / window.innerHeight) * 2 + 1);
+    this.raycaster.setFromCamera(this._pointerNdc, this.camera);
+
+    const hits = this.config.instanced
+      ? this.raycaster.intersectObject(this.instances.mesh)
+      : this.raycaster.intersectObjects(this.balls.map(b => this.getBallObject(b)));
+
+    for (const hit of hits) {
+      const ball = this.config.instanced
+        ? this.balls.find(b => b.instanceId === hit.instanceId)
+        : this.balls.find(b => this.getBallObject(b) === hit.object);
+      if (!ball) continue;
+      // The sprite is a square; its corners are see-through
+      const p = ball.body.position;
+      if (Math.hypot(hit.point.x - p.x, hit.point.y - p.y) <= ball.radius) return ball;
+    }
+    return null;
+  }
+
+  // Grabs the ball under the point if this layer is the topmost one with a ball there
+  tryGrab(id, clientX, clientY) {
+    if (!this.config.interactive || this.reducedMotion) return false;
+
+    const hit = this.layerManager.pickBall(clientX, clientY);
+    if (!hit || hit.layer !== this) return false;
+    for (const drag of this.drags.values()) {
+      if (drag.ball === hit.ball) return false;
+    }
+
+    // This pointer's collider would shove the held ball out of the hand
+    this.removePointer(id);
+
+    const p = this.getPointerWorld(clientX, clientY);
+    this.drags.set(id, { ball: hit.ball, x: p.x, y: p.y, lastTime: performance.now(), velocity: { x: 0, y: 0 } });
+    this.sim.grabBall(hit.ball);
+    this.suppressClick = true;
+    return true;
+  }
+
+  moveDrag(id, clientX, clientY) {
+    const drag = this.drags.get(id);
+    const now = performance.now();
+    const dt = Math.max(now - drag.lastTime, 1) / 1000;
+    const p = this.getPointerWorld(clientX, clientY);
+
+    drag.velocity.x = (p.x - drag.x) / dt;
+    drag.velocity.y = (p.y - drag.y) / dt;
+    drag.x = p.x;
+    drag.y = p.y;
+    drag.lastTime = now;
+  }
+
+  // Releases a held ball, throwing it with the pointer's last velocity unless cancelled
+  endDrag(id, release = true) {
+    const drag = this.drags.get(id);
+    if (!drag) return;
+    this.drags.delete(id);
+    if (release) this.sim.throwBall(drag.ball, drag.velocity.x, drag.velocity.y);
+  }
+
+  // Held balls chase their pointer every frame, even while it rests
+  holdDraggedBalls() {
+    for (const drag of this.drags.values()) this.sim.dragBall(drag.ball, drag.x, drag.y);
+  }
+
+  getHeldBalls() {
+    return Array.from(this.drags.values(), drag => drag.ball);
+  }
+
+  // Per-step travel stays under half the pointer + ball width, so flicks can't tunnel
+  getMaxPointerSpeed() {
+    const reach = this.config.pointerSize + this.config.ballRadius * 2;
+    return reach * 0.5 / this.sim.config.timeStep;
   }
 
   normalizeBallTexture(texture) {
@@ -249,7 +499,7 @@ export class NeoballBallsOverlay {
     if (!img) return texture;
 
     const OUT = 512;
-    const TARGET_DIAMETER = Math.round(OUT * 0.86);
+    const TARGET_DIAMETER = Math.round(OUT * BALL_TEXTURE_FILL);
     const THRESH = 8;
 
     const srcCanvas = document.createElement('canvas');
@@ -329,29 +579,15 @@ export class NeoballBallsOverlay {
   }
 
   async loadAllTextures() {
-    const loader = new THREE.TextureLoader();
-    const loadPromises = BALL_TEXTURES.map((tex) => {
-      return new Promise((resolve) => {
-        loader.load(tex.path, (texture) => {
-          const normalized = this.normalizeBallTexture(texture);
-          resolve(normalized);
-        }, undefined, () => resolve(null));
-      });
+    // Cached per page: the other layers reuse the same normalized textures
+    const loadPromises = this.textureSet.map((entry) => {
+      return this.layerManager.loadTexture(entry.path, (texture) => this.normalizeBallTexture(texture));
     });
 
-    this.textures = (await Promise.all(loadPromises)).filter(Boolean);
-  }
-
-  buildTextureSequence() {
-    const sequence = [];
-    for (let texIdx = 0; texIdx < this.textures.length; texIdx++) {
-      for (let i = 0; i < BALLS_PER_TEXTURE; i++) sequence.push(texIdx);
-    }
-    for (let i = sequence.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [sequence[i], sequence[j]] = [sequence[j], sequence[i]];
-    }
-    return sequence;
+    const loaded = await Promise.all(loadPromises);
+    // Drop designs that failed to load, keeping textureSet[i] and textures[i] paired
+    this.textureSet = this.textureSet.filter((_, i) => loaded[i]);
+    this.textures = loaded.filter(Boolean);
   }
 
   getRandomPositionForBody(existing, safeDistance) {
@@ -361,9 +597,9 @@ export class NeoballBallsOverlay {
     const padX = Math.max(this.config.ballRadius * 2, w * 0.2);
     const padY = Math.max(this.config.ballRadius * 2, h * 0.2);
 
-    for (;;) {
-      const x = (Math.random() * (w - padX * 2) + padX) - w / 2;
-      const y = (Math.random() * (h - padY * 2) + padY) - h / 2;
+    for (let attempt = 0; ; attempt++) {
+      const x = (this.random() * (w - padX * 2) + padX) - w / 2;
+      const y = (this.random() * (h - padY * 2) + padY) - h / 2;
 
       let ok = true;
       for (const p of existing) {
@@ -371,27 +607,52 @@ export class NeoballBallsOverlay {
         const dy = p.y - y;
         if (dx * dx + dy * dy < safeDistance * safeDistance) { ok = false; break; }
       }
-      if (ok) return { x, y };
+      // Large counts can run out of free spots; overlapping balls get pushed apart by the contacts
+      if (ok || attempt >= 200) return { x, y };
     }
   }
 
   createBalls() {
-    const r = this.config.ballRadius;
-    const ballDiameter = r * 2;
+    const maxRadius = Math.max(this.config.ballRadius, ...this.textureSet.map(entry => entry.radius ?? 0));
+    const ballDiameter = maxRadius * 2;
     const boxSize = ballDiameter * 1.5;
     const safeDistance = Math.max(boxSize, ballDiameter) * 1.25;
 
     const positions = [];
-    const textureSequence = this.buildTextureSequence();
-    const ballCount = Math.min(this.config.ballCount, textureSequence.length);
+    const textureSequence = buildTextureSequence(this.textureSet, this.config.ballCount, this.random);
+    const ballCount = textureSequence.length;
 
     const z = this.config.zOffset;
 
+    if (this.config.instanced) this.createInstances(ballCount);
+
     for (let i = 0; i < ballCount; i++) {
       const { x, y } = this.getRandomPositionForBody(positions, safeDistance);
       positions.push({ x, y });
 
       const textureIndex = textureSequence[i];
+      const { radius: r = this.config.ballRadius, mass } = this.textureSet[textureIndex];
+
+      const vx = (-0.5 + this.random()) * x * 2 * this.config.velocityFromPositionScale;
+      const vy = (-0.5 + this.random()) * y * 2 * this.config.velocityFromPositionScale;
+
+      if (this.config.instanced) {
+        const instanceId = this.instances.add(textureIndex);
+        this.sim.addBall({ x, y, z, radius: r, mass, velocity: { x: vx, y: vy }, instanceId, spin: 0, textureIndex });
+        continue;
+      }
+
+      if (this.config.ballStyle === 'sphere') {
+        const mesh = new THREE.Mesh(this.getBallGeometry(), this.getSphereMaterial(textureIndex));
+        mesh.scale.setScalar(r);
+        mesh.position.set(x, y, z);
+        mesh.renderOrder = this.config.zOffset >= 0 ? 2 : 1;
+        this.scene.add(mesh);
+
+        this.sim.addBall({ x, y, z, radius: r, mass, velocity: { x: vx, y: vy }, mesh, textureIndex });
+        continue;
+      }
+
       const texture = this.textures[textureIndex] || this.textures[0];
 
       const spriteMaterial = new THREE.SpriteMaterial({
@@ -411,23 +672,70 @@ export class NeoballBallsOverlay {
 
       this.scene.add(sprite);
 
-      const body = new CANNON.Body({
-        mass: 50,
-        material: this.ballMaterial,
-        linearDamping: this.config.linearDamping,
-        angularDamping: this.config.angularDamping
+      this.sim.addBall({ x, y, z, radius: r, mass, velocity: { x: vx, y: vy }, sprite, textureIndex });
+    }
+  }
+
+  // Sphere style: one geometry for every ball, one material per texture
+  getBallGeometry() {
+    if (!this.ballGeometry) this.ballGeometry = createBallGeometry(this._isMobile ? 16 : 24);
+    return this.ballGeometry;
+  }
+
+  getSphereMaterial(textureIndex) {
+    if (!this.sphereMaterials[textureIndex]) {
+      // Unlit like the sprites: the photos already carry their own shading
+      this.sphereMaterials[textureIndex] = new THREE.MeshBasicMaterial({
+        map: this.textures[textureIndex] || this.textures[0],
+        alphaTest: 0.1
       });
+    }
+    return this.sphereMaterials[textureIndex];
+  }
 
-      body.addShape(new CANNON.Sphere(r));
-      body.position.set(x, y, z);
+  // The scene object drawing a ball when not instanced
+  getBallObject(ball) {
+    return ball.sprite ?? ball.mesh;
+  }
 
-      const vx = (-0.5 + Math.random()) * x * 2 * this.config.velocityFromPositionScale;
-      const vy = (-0.5 + Math.random()) * y * 2 * this.config.velocityFromPositionScale;
-      body.velocity.set(vx, vy, 0);
+  createInstances(capacity) {
+    // One atlas cell per loaded texture, so textureIndex doubles as the atlas index
+    const atlas = createTextureAtlas(this.textures.map(texture => texture.image));
+    const spheres = this.config.ballStyle === 'sphere';
 
-      this.world.addBody(body);
-      this.balls.push({ sprite, body, index: i, textureIndex });
+    // Camera-facing unit quads (the camera looks straight down -z) like the sprites, or unit spheres
+    this.instances = new InstancedBalls({
+      geometry: spheres ? createBallGeometry(this._isMobile ? 16 : 24) : new THREE.PlaneGeometry(1, 1),
+      material: new THREE.MeshBasicMaterial({
+        transparent: !spheres,
+        alphaTest: 0.1,
+        depthTest: true,
+        depthWrite: spheres
+      }),
+      atlas,
+      capacity: Math.max(64, capacity)
+    });
+    this.instances.mesh.renderOrder = this.config.zOffset >= 0 ? 2 : 1;
+    this.scene.add(this.instances.mesh);
+
+    this._spinAxis = new THREE.Vector3(0, 0, 1);
+    this._spinQuaternion = new THREE.Quaternion();
+    this._instancePosition = new THREE.Vector3();
+  }
+
+  syncInstances() {
+    const z = this.config.zOffset;
+    for (const b of this.balls) {
+      this._instancePosition.set(b.body.position.x, b.body.position.y, z);
+      if (this.config.ballStyle === 'sphere') {
+        this.instances.setTransform(b.instanceId, this._instancePosition, b.body.quaternion, b.radius);
+        continue;
+      }
+      b.spin += (b.body.velocity.x + b.body.velocity.y) * 0.0005;
+      this._spinQuaternion.setFromAxisAngle(this._spinAxis, b.spin);
+      this.instances.setTransform(b.instanceId, this._instancePosition, this._spinQuaternion, b.radius * 2);
     }
+    this.instances.update();
   }
 
   getPointerWorld(clientX, clientY) {
@@ -440,75 +748,227 @@ export class NeoballBallsOverlay {
   }
 
   bindEvents() {
-    this._onMove = (e) => {
-      const p = this.getPointerWorld(e.clientX, e.clientY);
-      this.pointer.x = p.x;
-      this.pointer.y = p.y;
-      this.hasPointer = true;
+    // Mouse and pen via Pointer Events; touches below (pointer events stop once a touch scrolls)
+    this._onPointerMove = (e) => {
+      if (e.pointerType === 'touch') return;
+      if (this.drags.has(e.pointerId)) {
+        this.moveDrag(e.pointerId, e.clientX, e.clientY);
+      } else {
+        this.setPointer(e.pointerId, e.clientX, e.clientY);
+      }
+    };
+
+    this._onPointerDown = (e) => {
+      this.suppressClick = false;
+      if (this.reducedMotion) {
+        this.nudgeAt(e.clientX, e.clientY);
+      } else if (e.pointerType !== 'touch' && this.tryGrab(e.pointerId, e.clientX, e.clientY)) {
+        e.preventDefault();
+      } else {
+        this._onPointerMove(e);
+      }
+    };
+
+    this._onPointerUp = (e) => {
+      if (e.pointerType === 'touch' || !this.drags.has(e.pointerId)) return;
+      this.endDrag(e.pointerId, e.type === 'pointerup');
+      if (e.type === 'pointercancel') this.suppressClick = false;
+    };
+
+    // Capture phase, ahead of the page: a press that grabbed a ball isn't also a click on a link
+    this._onClick = (e) => {
+      if (!this.suppressClick) return;
+      this.suppressClick = false;
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    // Left the window
+    this._onPointerOut = (e) => {
+      if (e.pointerType !== 'touch' && !e.relatedTarget) this.removePointer(e.pointerId);
+    };
+
+    this._onTouchStart = (e) => {
+      for (const t of e.changedTouches) {
+        const id = `touch:${t.identifier}`;
+        if (this.tryGrab(id, t.clientX, t.clientY)) {
+          // Holding a ball: don't scroll the page or fire a click
+          e.preventDefault();
+        } else {
+          this.setPointer(id, t.clientX, t.clientY);
+        }
+      }
     };
 
     this._onTouchMove = (e) => {
-      if (e.touches && e.touches[0]) {
-        const t = e.touches[0];
-        const p = this.getPointerWorld(t.clientX, t.clientY);
-        this.pointer.x = p.x;
-        this.pointer.y = p.y;
-        this.hasPointer = true;
+      for (const t of e.changedTouches) {
+        const id = `touch:${t.identifier}`;
+        if (this.drags.has(id)) {
+          this.moveDrag(id, t.clientX, t.clientY);
+        } else {
+          this.setPointer(id, t.clientX, t.clientY);
+        }
+      }
+    };
+
+    this._onTouchEnd = (e) => {
+      for (const t of e.changedTouches) {
+        const id = `touch:${t.identifier}`;
+        this.endDrag(id, e.type === 'touchend');
+        this.removePointer(id);
       }
     };
 
     this._onResize = () => {
-      this.renderer.setSize(window.innerWidth, window.innerHeight);
       this.setViewport();
       this.updateBoundaries();
+      if (this.reducedMotion) this.sim.beginSettle();
+      this.requestRender();
     };
 
-    window.addEventListener('mousemove', this._onMove);
-    window.addEventListener('mousedown', this._onMove);
-    window.addEventListener('touchmove', this._onTouchMove, { passive: true });
+    // Only interactive layers ever need to cancel a touch
+    const passive = !this.config.interactive;
+
+    window.addEventListener('pointermove', this._onPointerMove);
+    window.addEventListener('pointerdown', this._onPointerDown, { capture: true });
+    window.addEventListener('pointerup', this._onPointerUp);
+    window.addEventListener('pointercancel', this._onPointerUp);
+    window.addEventListener('pointerout', this._onPointerOut);
+    window.addEventListener('click', this._onClick, { capture: true });
+    window.addEventListener('touchstart', this._onTouchStart, { passive });
+    window.addEventListener('touchmove', this._onTouchMove, { passive });
+    window.addEventListener('touchend', this._onTouchEnd);
+    window.addEventListener('touchcancel', this._onTouchEnd);
     window.addEventListener('resize', this._onResize);
   }
 
+  unbindEvents() {
+    if (!this._onPointerMove) return;
+    window.removeEventListener('pointermove', this._onPointerMove);
+    window.removeEventListener('pointerdown', this._onPointerDown, { capture: true });
+    window.removeEventListener('pointerup', this._onPointerUp);
+    window.removeEventListener('pointercancel', this._onPointerUp);
+    window.removeEventListener('pointerout', this._onPointerOut);
+    window.removeEventListener('click', this._onClick, { capture: true });
+    window.removeEventListener('touchstart', this._onTouchStart);
+    window.removeEventListener('touchmove', this._onTouchMove);
+    window.removeEventListener('touchend', this._onTouchEnd);
+    window.removeEventListener('touchcancel', this._onTouchEnd);
+    window.removeEventListener('resize', this._onResize);
+  }
+
   updateBoundaries() {
-    const ballDiameter = this.config.ballRadius * 2;
-    const boxSize = ballDiameter * 1.5;
-    const t = Math.max(boxSize, ballDiameter) * 1.1;
-    const w = this.viewport.width;
-    const h = this.viewport.height;
-    const z = this.config.zOffset;
+    this.sim.resize(this.viewport.width, this.viewport.height);
+  }
+
+  /**
+   * Advances by `delta` seconds in fixed substeps of the core's timeStep (0, 1 or
+   * more per frame, capped at maxSubSteps). Pointers are swept once per substep,
+   * so their bodies land on the cursor whatever the display's refresh rate.
+   */
+  step(delta = 1 / 60) {
+    // Seeded runs advance one fixed step per frame so motion is reproducible
+    const h = this.sim.config.timeStep;
+    this.accumulator += this._seeded ? h : Math.min(delta, this.sim.config.maxDelta);
+
+    let substeps = 0;
+    while (this.accumulator >= h && substeps < this.sim.config.maxSubSteps) {
+      this.holdDraggedBalls();
+      this.updatePointers(h);
+      this.world.step(h);
+      if (this.config.ballStyle === 'sphere') this.alignSpin(h);
+
+      this._t += h;
+      this.world.gravity.set(
+        Math.sin(0.5 * this._t) * this.config.oscGravity,
+        Math.cos(0.4 * this._t) * this.config.oscGravity,
+        0
+      );
+      this.accumulator -= h;
+      substeps++;
+    }
+    // Too slow to keep up: drop the backlog rather than spiral
+    if (this.accumulator >= h) this.accumulator %= h;
+  }
 
-    const positions = [
-      [0, -h / 2 - t / 2, z],
-      [0,  h / 2 + t / 2, z],
-      [-w / 2 - t / 2, 0, z],
-      [ w / 2 + t / 2, 0, z],
-      [0, 0, z - t],
-      [0, 0, z + t]
-    ];
+  /**
+   * Spheres: steers each ball's spin toward rolling along its direction of
+   * travel, i.e. the face toward the camera moves with the ball. Spin about z
+   * from glancing collisions is left to the physics.
+   */
+  alignSpin(dt) {
+    const k = 1 - Math.exp(-this.config.rollFollow * dt);
+    for (const b of this.balls) {
+      const { velocity: v, angularVelocity: w } = b.body;
+      w.x += (-v.y / b.radius - w.x) * k;
+      w.y += (v.x / b.radius - w.y) * k;
+    }
+  }
 
-    this.walls.forEach((wall, i) => wall.position.set(...positions[i]));
+  getBallState() {
+    return this.sim.getState();
   }
 
-  animate() {
-    requestAnimationFrame(this.animate.bind(this));
+  isActive() {
+    return this.ready && !this.paused && !this.destroyed;
+  }
 
-    const dt = Math.min(this.clock.getDelta(), 0.1);
-    this.world.step(1 / 60, dt, 3);
+  // False while a reduced-motion layout sits drawn and unchanged; the manager skips the layer
+  needsFrame() {
+    return this.isActive() && !this.asleep;
+  }
 
-    this._t += dt;
-    this.world.gravity.set(
-      Math.sin(0.5 * this._t) * this.config.oscGravity,
-      Math.cos(0.4 * this._t) * this.config.oscGravity,
-      0
-    );
+  // Draws a frame even in reduced motion, waking the shared loop if it was asleep
+  requestRender() {
+    this.needsRender = true;
+    this.wake();
+  }
 
-    if (this.pointerBox) {
-      if (!this.hasPointer) {
-        this.pointerBox.position.set(99999, 99999, this.config.zOffset);
-      } else {
-        this.pointerBox.position.set(this.pointer.x, this.pointer.y, this.config.zOffset);
-        this.pointerBox.quaternion.set(Math.sin(this._t), Math.cos(this._t), 0, 0);
+  // Back to getting frames; update() decides whether they need drawing
+  wake() {
+    this.asleep = false;
+    if (this.isActive()) this.layerManager.start();
+  }
+
+  /**
+   * Called by the layer manager once per frame. Returns true if the layer should
+   * be drawn; in reduced motion that is only when the layout changed.
+   */
+  update(delta) {
+    this.countFrame();
+
+    if (this.reducedMotion) {
+      // Static layout: only re-settle (a few steps per frame) once the colliders
+      // under the balls have moved and scrolling has stopped
+      if (this.domColliders.updateWhenIdle()) this.sim.beginSettle();
+      const changed = this.needsRender || this.sim.isSettlePending();
+      this.sim.continueSettle();
+      this.needsRender = false;
+      // Settled and drawn: no more frames until requestRender()
+      this.asleep = !this.sim.isSettlePending() && !this.domColliders.dirty;
+      if (!changed) return false;
+    } else {
+      this.domColliders.update();
+      this.step(delta);
+    }
+
+    this.syncBalls();
+    return true;
+  }
+
+  // Moves the sprites, spheres or instances to their bodies
+  syncBalls() {
+    if (this.config.instanced) {
+      this.syncInstances();
+      return;
+    }
+
+    if (this.config.ballStyle === 'sphere') {
+      for (const b of this.balls) {
+        b.mesh.position.set(b.body.position.x, b.body.position.y, this.config.zOffset);
+        b.mesh.quaternion.copy(b.body.quaternion);
       }
+      return;
     }
 
     for (const b of this.balls) {
@@ -518,11 +978,223 @@ export class NeoballBallsOverlay {
 
       b.sprite.material.rotation += (b.body.velocity.x + b.body.velocity.y) * 0.0005;
     }
+  }
+
+  countFrame() {
+    this.frameCount++;
+    const now = performance.now();
+    if (now - this.lastFpsUpdate > 1000) {
+      this.fps = this.frameCount;
+      this.frameCount = 0;
+      this.lastFpsUpdate = now;
+      this.governor?.sample(this.fps);
+    }
+  }
 
-    this.renderer.render(this.scene, this.camera);
+  resetFpsCounter() {
+    // Paused time must not count as a slow second
+    this.frameCount = 0;
+    this.lastFpsUpdate = performance.now();
+  }
+
+  getFPS() {
+    return this.fps;
+  }
+
+  // Adaptive quality
+
+  applyQualityTier(tier) {
+    const base = this.baseQuality;
+    this.layerManager.setPixelRatioScale(this, tier.pixelRatio);
+    this.sim.world.solver.iterations = scaleSetting(base.solverIterations, tier.solverIterations, 3);
+    this.sim.config.maxSubSteps = scaleSetting(base.maxSubSteps, tier.maxSubSteps, 1);
+    this.setActiveBallCount(scaleSetting(base.ballCount, tier.ballCount, 1));
+    this.requestRender();
+  }
+
+  // Culls balls off the end (keeping their records) or brings culled ones back
+  setActiveBallCount(count) {
+    while (this.balls.length > count) {
+      const ball = this.sim.removeBall();
+      if (this.config.instanced) {
+        this.instances.removeLast();
+      } else {
+        this.scene.remove(this.getBallObject(ball));
+      }
+      for (const [id, drag] of this.drags) {
+        if (drag.ball === ball) this.drags.delete(id);
+      }
+      this.culledBalls.push(ball);
+    }
+
+    while (this.balls.length < count && this.culledBalls.length > 0) {
+      const ball = this.sim.restoreBall(this.culledBalls.pop());
+      if (this.config.instanced) {
+        ball.instanceId = this.instances.add(ball.textureIndex);
+      } else {
+        this.scene.add(this.getBallObject(ball));
+      }
+    }
+  }
+
+  getQualityTier() {
+    return this.governor ? this.governor.getTier() : null;
+  }
+
+  // Reduced motion
+
+  isReducedMotion() {
+    return this.reducedMotion;
+  }
+
+  setReducedMotion(enabled) {
+    if (this.reducedMotion === Boolean(enabled)) return;
+    this.reducedMotion = Boolean(enabled);
+    // Either way the loop has to run: to animate again, or to draw the settled layout
+    this.requestRender();
+    if (!this.reducedMotion) return;
+
+    // Pointers no longer sweep balls around; settle where they are
+    this.clearPointers();
+    this.drags.clear();
+    this.sim.settle();
+  }
+
+  // Nudges the ball under a tap/click one radius-ish away from the pointer, resolved
+  // instantly. Presses anywhere else on the page leave the balls alone.
+  nudgeAt(clientX, clientY) {
+    const ball = this.pickBall(clientX, clientY);
+    if (!ball) return false;
+
+    const p = this.getPointerWorld(clientX, clientY);
+    const dx = ball.body.position.x - p.x;
+    const dy = ball.body.position.y - p.y;
+    const distance = Math.hypot(dx, dy) || 1;
+    const speed = ball.radius * 2;
+    this.sim.nudgeBall(ball, dx / distance * speed, dy / distance * speed);
+    this.sim.settle();
+    this.requestRender();
+    return true;
+  }
+
+  // Screen pixels per world unit at the balls' depth
+  getPixelsPerUnit() {
+    const distance = this.camera.position.z - this.config.zOffset;
+    const viewHeight = 2 * Math.tan(this.camera.fov * Math.PI / 360) * distance;
+    return window.innerHeight / viewHeight;
+  }
+
+  // Smallest whole-pixel screen rect (clipped to the window) covering every ball, or null
+  getScreenBounds() {
+    const w = window.innerWidth;
+    const h = window.innerHeight;
+    const scale = this.getPixelsPerUnit();
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+
+    for (const b of this.balls) {
+      const cx = w / 2 + b.body.position.x * scale;
+      const cy = h / 2 - b.body.position.y * scale;
+      // A couple of pixels extra for the antialiased edge
+      const r = b.radius * scale + 2;
+      x0 = Math.min(x0, cx - r);
+      y0 = Math.min(y0, cy - r);
+      x1 = Math.max(x1, cx + r);
+      y1 = Math.max(y1, cy + r);
+    }
+
+    x0 = Math.max(0, Math.floor(x0));
+    y0 = Math.max(0, Math.floor(y0));
+    x1 = Math.min(w, Math.ceil(x1));
+    y1 = Math.min(h, Math.ceil(y1));
+    if (x1 <= x0 || y1 <= y0) return null;
+    return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+  }
+
+  // Copies the rect the manager just rendered (bottom-left of its drawing buffer)
+  // into this layer's canvas, which is sized and moved to match it
+  present(source, bounds, pixelRatio) {
+    const canvas = this.canvas;
+    if (!bounds) {
+      canvas.style.display = 'none';
+      return;
+    }
+
+    // Same rounding as WebGLRenderer.setViewport()
+    const width = Math.round(bounds.width * pixelRatio);
+    const height = Math.round(bounds.height * pixelRatio);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    canvas.style.width = `${bounds.width}px`;
+    canvas.style.height = `${bounds.height}px`;
+    canvas.style.transform = `translate(${bounds.x}px, ${bounds.y}px)`;
+    canvas.style.display = 'block';
+
+    this.context2d.clearRect(0, 0, width, height);
+    this.context2d.drawImage(source, 0, source.height - height, width, height, 0, 0, width, height);
+  }
+
+  // Lifecycle
+
+  // A paused layer keeps its last frame on screen and skips physics
+  pause() {
+    if (this.destroyed) return;
+    this.paused = true;
+    // Cancels the pending frame if no other layer is still animating
+    this.layerManager.stopIfIdle();
+  }
+
+  resume() {
+    if (this.destroyed) return;
+    this.paused = false;
+    this.resetFpsCounter();
+    this.domColliders.reset();
+    // The manager's loop stops while every layer is paused
+    this.requestRender();
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+
+    // The manager frees the shared renderer and textures once no layer is left
+    this.layerManager.removeLayer(this);
+    this.unbindEvents();
+    this.clearPointers();
+    this.drags.clear();
+    this.domColliders.destroy();
+    this.motionWatcher?.stop();
+
+    this.governor?.removeAllListeners();
+    this.removeAllListeners();
+    this.balls.push(...this.culledBalls.splice(0));
+    for (const b of this.balls) {
+      if (b.mesh) this.scene.remove(b.mesh);
+      if (!b.sprite) continue;
+      this.scene.remove(b.sprite);
+      b.sprite.material.dispose();
+    }
+    this.sphereMaterials.forEach(material => material.dispose());
+    this.ballGeometry?.dispose();
+    this.instances?.dispose();
+    this.textures = [];
+    this.sim.destroy();
+
+    this.containerEl.remove();
+
+    // Drop from the debug registry
+    const index = window.neoballBalls ? window.neoballBalls.indexOf(this) : -1;
+    if (index > -1) window.neoballBalls.splice(index, 1);
   }
 }
 
+export { NeoballLayerManager, getSharedLayerManager } from './balls-layers.js';
+
 export function initBallsOnPage(options = {}) {
   return new NeoballBallsOverlay(options);
 }
@@ -0,0 +1,229 @@
+/**
+ * Neoball Cart Store
+ * The cart as one object shared by every page: lines are saved to localStorage
+ * under a schema version and kept in step across open tabs through `storage`
+ * events. Pages render from it and listen for 'change'.
+ *
+ * The cart is the visitor's own order in progress (strictly necessary), so
+ * unlike the sound preferences it is stored without waiting for cookie consent.
+ */
+
+import { Emitter } from './emitter.js';
+import { getProduct, createLineItem } from './catalog.js';
+
+export const CART_STORAGE_KEY = 'neoball_cart';
+// Bump when the saved shape changes; older saves are dropped rather than misread
+export const CART_SCHEMA_VERSION = 1;
+
+// Ids saved before the ball had variants; those lines were always the size 7 original
+const LEGACY_LINE_IDS = {
+  'neoball-pro': 'neoball-pro-7-original'
+};
+
+export class CartStore extends Emitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      key: options.key ?? CART_STORAGE_KEY,
+      storage: options.storage ?? getLocalStorage(),
+      // Per-line cap; a line's own maxQuantity (e.g. stock on hand) can only lower it
+      maxQuantity: options.maxQuantity ?? 10
+    };
+
+    this.lines = [];
+    // Subscribe & Save applies to the whole order
+    this.subscribe = false;
+    // The promo code the visitor entered; PricingEngine decides whether it applies
+    this.discountCode = null;
+    this.load();
+
+    // Fires in every other tab when one of them saves
+    this.onStorage = (event) => {
+      if (event.key !== this.config.key && event.key !== null) return;
+      this.load();
+      this.emit('change', { ...this.getSnapshot(), source: 'storage' });
+    };
+    window.addEventListener('storage', this.onStorage);
+  }
+
+  // Reading
+
+  getLines() {
+    return this.lines.map(line => ({ ...line }));
+  }
+
+  getLine(id) {
+    const line = this.lines.find(l => l.id === id);
+    return line ? { ...line } : null;
+  }
+
+  getCount() {
+    return this.lines.reduce((sum, line) => sum + line.quantity, 0);
+  }
+
+  isEmpty() {
+    return this.lines.length === 0;
+  }
+
+  // Without a line, the store's own per-line limit
+  getMaxQuantity(line) {
+    return Math.min(line?.maxQuantity ?? Infinity, this.config.maxQuantity);
+  }
+
+  isSubscribed() {
+    return this.subscribe;
+  }
+
+  getDiscountCode() {
+    return this.discountCode;
+  }
+
+  // Everything an order needs, e.g. for building a checkout payload
+  getSnapshot() {
+    return { lines: this.getLines(), subscribe: this.subscribe, discountCode: this.discountCode };
+  }
+
+  // Changes
+
+  // Adds `quantity` of a product, merging with an existing line for the same id (capped at its max).
+  // Quantities are whole numbers like setQuantity()'s; anything below 1 adds nothing
+  add(item, quantity = 1) {
+    const count = Math.floor(Number(quantity));
+    if (!(count > 0)) return;
+
+    const existing = this.lines.find(line => line.id === item.id);
+    if (existing) {
+      const next = Math.min(existing.quantity + count, this.getMaxQuantity(existing));
+      if (next === existing.quantity) return;
+      existing.quantity = next;
+    } else {
+      const line = sanitizeLine({ ...item, quantity: Math.min(count, this.getMaxQuantity(item)) });
+      if (!line) return;
+      this.lines.push(line);
+    }
+    this.commit();
+  }
+
+  // Clamped to the line's max; 0 (or less) removes the line
+  setQuantity(id, quantity) {
+    const line = this.lines.find(l => l.id === id);
+    const next = Math.floor(Number(quantity));
+    if (!line || Number.isNaN(next)) return;
+    if (next <= 0) {
+      this.remove(id);
+      return;
+    }
+
+    const clamped = Math.min(next, this.getMaxQuantity(line));
+    if (clamped === line.quantity) return;
+    line.quantity = clamped;
+    this.commit();
+  }
+
+  remove(id) {
+    const index = this.lines.findIndex(line => line.id === id);
+    if (index === -1) return;
+    this.lines.splice(index, 1);
+    this.commit();
+  }
+
+  setSubscribe(enabled) {
+    if (this.subscribe === Boolean(enabled)) return;
+    this.subscribe = Boolean(enabled);
+    this.commit();
+  }
+
+  // Stored as entered (trimmed, upper-cased); null removes the code
+  setDiscountCode(code) {
+    const next = code ? String(code).trim().toUpperCase() || null : null;
+    if (this.discountCode === next) return;
+    this.discountCode = next;
+    this.commit();
+  }
+
+  clear() {
+    if (this.lines.length === 0 && !this.subscribe && !this.discountCode) return;
+    this.lines = [];
+    this.subscribe = false;
+    this.discountCode = null;
+    this.commit();
+  }
+
+  commit() {
+    this.save();
+    this.emit('change', { ...this.getSnapshot(), source: 'local' });
+  }
+
+  // Storage
+
+  load() {
+    this.lines = [];
+    this.subscribe = false;
+    this.discountCode = null;
+    try {
+      const saved = JSON.parse(this.config.storage?.getItem(this.config.key));
+      if (saved?.version !== CART_SCHEMA_VERSION || !Array.isArray(saved.lines)) return;
+      // Legacy ids can now collide with a line saved under the variant id
+      for (const line of saved.lines.map(sanitizeLine).filter(Boolean)) {
+        const existing = this.lines.find(kept => kept.id === line.id);
+        if (existing) {
+          existing.quantity = Math.min(existing.quantity + line.quantity, this.getMaxQuantity(existing));
+        } else {
+          this.lines.push(line);
+        }
+      }
+      // Optional fields: older saves simply aren't subscribed and have no code
+      this.subscribe = saved.subscribe === true;
+      this.discountCode = typeof saved.discountCode === 'string' ? saved.discountCode : null;
+    } catch (e) {
+      // Corrupt or blocked storage: start with an empty cart
+    }
+  }
+
+  save() {
+    try {
+      this.config.storage?.setItem(this.config.key, JSON.stringify({
+        version: CART_SCHEMA_VERSION,
+        lines: this.lines,
+        subscribe: this.subscribe,
+        discountCode: this.discountCode,
+        updatedAt: Date.now()
+      }));
+    } catch (e) {
+      // Storage blocked (private mode) or full: the cart lives in memory for this page
+    }
+  }
+
+  destroy() {
+    window.removeEventListener('storage', this.onStorage);
+    this.removeAllListeners();
+  }
+}
+
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    // Some browsers throw on access when storage is disabled
+    return null;
+  }
+}
+
+// Saved data comes from another tab or an older page: keep only well-formed lines
+function sanitizeLine(line) {
+  if (!line || typeof line.id !== 'string') return null;
+  const quantity = Math.floor(Number(line.quantity));
+  const price = Number(line.price);
+  if (!(quantity > 0) || !Number.isFinite(price)) return null;
+
+  const legacy = getProduct(LEGACY_LINE_IDS[line.id]);
+  if (legacy) return { ...createLineItem(legacy), quantity };
+
+  return {
+    ...line,
+    quantity,
+    price,
+    originalPrice: Number.isFinite(Number(line.originalPrice)) ? Number(line.originalPrice) : price
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Neoball Product Catalog
+ * Everything the PDP can put in the cart: the ball itself and the drawer's
+ * "complete your setup" upsells. Cart lines are built from these entries, so
+ * names, prices and images live in one place (pricing.js does the math).
+ *
+ * The ball is sold in variants (size × colorway). Each variant is its own
+ * entry with an id like `neoball-pro-7-original`, so cart lines, pricing and
+ * checkout all work per variant; `productId` and `options` tie it back to the
+ * PDP's selectors.
+ */
+
+// Sizes set the price; colorways are the six ball designs in balls/
+const NEOBALL_PRO_OPTIONS = [
+  {
+    name: 'size',
+    label: 'Size',
+    values: [
+      { value: '7', label: 'Size 7', note: '29.5" · Ages 12+', price: 78, originalPrice: 88 },
+      { value: '6', label: 'Size 6', note: '28.5" · Ages 12+', price: 74, originalPrice: 84 },
+      { value: '5', label: 'Size 5', note: '27.5" · Ages 9–11', price: 68, originalPrice: 78 }
+    ]
+  },
+  {
+    name: 'colorway',
+    label: 'Colorway',
+    values: [
+      { value: 'original', label: 'Original', image: './balls/balls1.png' },
+      { value: 'signature', label: 'Signature', image: './balls/balls2.png' },
+      { value: 'court', label: 'Court', image: './balls/balls3.png' },
+      { value: 'street', label: 'Street', image: './balls/balls4.png' },
+      { value: 'seam', label: 'Seam', image: './balls/balls5.png' },
+      { value: 'night', label: 'Night', image: './balls/balls6.png' }
+    ]
+  }
+];
+
+// Units on hand by size-colorway; anything not listed is well stocked
+const NEOBALL_PRO_STOCK = {
+  '5-night': 0,
+  '6-street': 3,
+  '5-seam': 4
+};
+const DEFAULT_STOCK = 50;
+
+// At or below this many units the PDP says "Only N left"
+export const LOW_STOCK_THRESHOLD = 5;
+
+export const VARIANT_OPTIONS = {
+  'neoball-pro': NEOBALL_PRO_OPTIONS
+};
+
+// Every size × colorway of the ball
+const NEOBALL_PRO_VARIANTS = NEOBALL_PRO_OPTIONS[0].values.flatMap(size =>
+  NEOBALL_PRO_OPTIONS[1].values.map(colorway => ({
+    id: getVariantId('neoball-pro', { size: size.value, colorway: colorway.value }),
+    productId: 'neoball-pro',
+    options: { size: size.value, colorway: colorway.value },
+    name: 'Neoball Pro Basketball',
+    price: size.price,
+    originalPrice: size.originalPrice,
+    image: colorway.image,
+    gallery: getGallery(colorway.image),
+    variant: `${size.label} · ${colorway.label}`,
+    stock: NEOBALL_PRO_STOCK[`${size.value}-${colorway.value}`] ?? DEFAULT_STOCK,
+    // Eligible for Subscribe & Save (see PricingEngine's subscription config)
+    subscribable: true
+  }))
+);
+
+export const PRODUCTS = {
+  ...Object.fromEntries(NEOBALL_PRO_VARIANTS.map(variant => [variant.id, variant])),
+  'ball-pump-pro': {
+    id: 'ball-pump-pro',
+    name: 'Ball Pump Pro',
+    price: 24.99,
+    image: './images/ball-pump-pro.svg',
+    variant: 'Dual-action with gauge'
+  },
+  'grip-enhancer-spray': {
+    id: 'grip-enhancer-spray',
+    name: 'Grip Enhancer Spray',
+    price: 14.99,
+    image: './images/grip-enhancer-spray.svg',
+    variant: '150 ml'
+  }
+};
+
+// Offered in the cart drawer, in this order, until they're in the cart
+export const UPSELL_IDS = ['ball-pump-pro', 'grip-enhancer-spray'];
+
+export function getProduct(id) {
+  return PRODUCTS[id] ?? null;
+}
+
+export function getVariantOptions(productId) {
+  return VARIANT_OPTIONS[productId] ?? [];
+}
+
+// `selection` maps option names to values: { size: '7', colorway: 'original' }
+export function getVariantId(productId, selection) {
+  return [productId, ...getVariantOptions(productId).map(option => selection[option.name])].join('-');
+}
+
+export function getVariant(productId, selection) {
+  return getProduct(getVariantId(productId, selection));
+}
+
+// First value of every option
+export function getDefaultSelection(productId) {
+  return Object.fromEntries(getVariantOptions(productId).map(option => [option.name, option.values[0].value]));
+}
+
+// 'in' | 'low' | 'out' plus the copy the PDP shows for it
+export function getStockStatus(product) {
+  const stock = product?.stock ?? Infinity;
+  if (stock <= 0) return { status: 'out', stock: 0, label: 'Sold out' };
+  if (stock <= LOW_STOCK_THRESHOLD) return { status: 'low', stock, label: `Only ${stock} left` };
+  return { status: 'in', stock, label: 'In stock' };
+}
+
+// The snapshot a cart line keeps of its product
+export function createLineItem(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    price: product.price,
+    originalPrice: product.originalPrice ?? product.price,
+    image: product.image,
+    variant: product.variant,
+    productId: product.productId ?? product.id,
+    options: product.options,
+    // Stock on hand caps the line (CartStore keeps its own per-order limit too)
+    maxQuantity: product.stock,
+    subscribable: Boolean(product.subscribable)
+  };
+}
+
+// The colorway's own shot first, then the other designs as the remaining angles
+function getGallery(image) {
+  const designs = NEOBALL_PRO_OPTIONS[1].values.map(colorway => colorway.image);
+  const start = designs.indexOf(image);
+  return designs.map((_, i) => designs[(start + i) % designs.length]).slice(0, 5);
+}
+
+// Upsells still worth showing next to these cart lines
+export function getUpsells(lines) {
+  const inCart = new Set(lines.map(line => line.id));
+  return UPSELL_IDS.filter(id => !inCart.has(id)).map(getProduct).filter(Boolean);
+}
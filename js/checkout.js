@@ -0,0 +1,183 @@
+/**
+ * Neoball Checkout
+ * Hands the cart to a checkout provider and follows its redirect. Providers
+ * only implement `createCheckout(payload, { signal })` resolving to
+ * `{ redirectUrl, order }` (or throwing a CheckoutError), so Shopify or Stripe can
+ * replace the bundled mock without touching the PDP script.
+ *
+ * CheckoutClient emits 'state' with { state, attempt, error, redirectUrl, order }:
+ * submitting → (retrying →)* redirect | error.
+ */
+
+import { Emitter } from './emitter.js';
+
+export const CHECKOUT_PAYLOAD_VERSION = 1;
+
+export class CheckoutError extends Error {
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.status = status;
+    // Network failures, timeouts and 5xx are worth another try; a rejected cart isn't
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * What every provider receives: a cart snapshot (CartStore.getSnapshot()) priced
+ * by a PricingEngine quote, so the server can check the numbers it was shown.
+ */
+export function buildCheckoutPayload(snapshot, quote) {
+  return {
+    version: CHECKOUT_PAYLOAD_VERSION,
+    currency: 'USD',
+    subscribe: Boolean(snapshot.subscribe),
+    lines: quote.lines.map(line => ({
+      id: line.id,
+      quantity: line.quantity,
+      unitPrice: line.price,
+      compareAtPrice: line.originalPrice,
+      subscription: line.subscription
+        ? { intervalMonths: line.subscription.intervalMonths, discount: line.subscription.discount }
+        : null
+    })),
+    discounts: quote.discounts ?? [],
+    totals: {
+      subtotal: quote.subtotal,
+      savings: quote.savings,
+      total: quote.total
+    }
+  };
+}
+
+// POSTs the payload as JSON and expects { redirectUrl, order } back
+export class HttpCheckoutProvider {
+  constructor(options = {}) {
+    if (!options.endpoint) throw new Error('HttpCheckoutProvider needs an endpoint');
+    this.config = {
+      endpoint: options.endpoint,
+      headers: options.headers ?? {},
+      fetch: options.fetch ?? ((...args) => window.fetch(...args))
+    };
+  }
+
+  async createCheckout(payload, { signal } = {}) {
+    let response;
+    try {
+      response = await this.config.fetch(this.config.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.config.headers },
+        body: JSON.stringify(payload),
+        signal
+      });
+    } catch (error) {
+      if (error instanceof CheckoutError) throw error;
+      throw new CheckoutError('We couldn\'t reach checkout. Check your connection.', { retryable: true });
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new CheckoutError(body.error || `Checkout failed (${response.status}).`, {
+        status: response.status,
+        retryable: response.status >= 500 || response.status === 429
+      });
+    }
+    if (!body.redirectUrl) {
+      throw new CheckoutError('Checkout didn\'t return a payment page.', { status: response.status });
+    }
+    return { redirectUrl: body.redirectUrl, order: body.order ?? null };
+  }
+}
+
+/**
+ * The bundled provider for local development, pointed at the stub server
+ * (`npm run checkout:stub`, see scripts/checkout-stub-server.js).
+ * Only meant for localhost; production pages get an HttpCheckoutProvider.
+ */
+export class MockCheckoutProvider extends HttpCheckoutProvider {
+  constructor(options = {}) {
+    super({ endpoint: 'http://localhost:8787/checkout', ...options });
+  }
+}
+
+export class CheckoutClient extends Emitter {
+  constructor(options = {}) {
+    super();
+
+    if (!options.provider) throw new Error('CheckoutClient needs a provider');
+    this.provider = options.provider;
+    this.config = {
+      // Extra attempts after the first for retryable failures
+      retries: options.retries ?? 2,
+      // Wait before retry n is retryDelay * n ms
+      retryDelay: options.retryDelay ?? 1000,
+      // Per attempt, in ms
+      timeout: options.timeout ?? 15000,
+      redirect: options.redirect ?? (url => window.location.assign(url))
+    };
+
+    this.state = 'idle';
+    this.pending = null;
+  }
+
+  isBusy() {
+    return this.state === 'submitting' || this.state === 'retrying' || this.state === 'redirect';
+  }
+
+  // Resolves to the redirect URL, or null if checkout failed (the 'error' state says why)
+  async checkout(payload) {
+    if (this.isBusy()) return this.pending;
+    this.pending = this.run(payload);
+    return this.pending;
+  }
+
+  async run(payload) {
+    for (let attempt = 1; ; attempt++) {
+      this.setState(attempt === 1 ? 'submitting' : 'retrying', { attempt });
+      try {
+        const { redirectUrl, order = null } = await this.attempt(payload);
+        this.setState('redirect', { attempt, redirectUrl, order });
+        this.config.redirect(redirectUrl);
+        return redirectUrl;
+      } catch (error) {
+        const checkoutError = error instanceof CheckoutError
+          ? error
+          : new CheckoutError('Something went wrong starting checkout.');
+        if (!checkoutError.retryable || attempt > this.config.retries) {
+          this.setState('error', { attempt, error: checkoutError });
+          return null;
+        }
+        await wait(this.config.retryDelay * attempt);
+      }
+    }
+  }
+
+  async attempt(payload) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.config.timeout);
+    try {
+      return await this.provider.createCheckout(payload, { signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Back to idle, e.g. when the page is restored from the back/forward cache after a redirect
+  reset() {
+    this.pending = null;
+    this.setState('idle');
+  }
+
+  setState(state, details = {}) {
+    this.state = state;
+    this.emit('state', { state, attempt: 1, error: null, redirectUrl: null, order: null, ...details });
+  }
+
+  destroy() {
+    this.removeAllListeners();
+  }
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,80 @@
+/**
+ * Neoball Discount Codes
+ * Promo codes and the rules they carry: percent off, a fixed amount off, or
+ * free shipping, each optionally limited by a minimum subtotal and a start /
+ * expiry date. Handed to a PricingEngine (`discounts` option), which asks
+ * evaluate() whether a code applies to a cart.
+ */
+
+import { formatPrice } from './pricing.js';
+
+// Codes are matched case-insensitively; dates are ISO strings
+export const DISCOUNT_CODES = {
+  NEOBALL10: { type: 'percent', value: 10 },
+  SAVE15: { type: 'fixed', value: 15, minSubtotal: 100 },
+  FREESHIP: { type: 'free-shipping' },
+  BLACKFRIDAY25: { type: 'percent', value: 25, startsAt: '2025-11-28T05:00:00Z', expiresAt: '2025-12-02T08:00:00Z' }
+};
+
+export class DiscountRules {
+  constructor(options = {}) {
+    this.codes = new Map(
+      Object.entries(options.codes ?? DISCOUNT_CODES).map(([code, rule]) => [normalizeCode(code), rule])
+    );
+  }
+
+  /**
+   * Checks `code` against a cart subtotal. Resolves to
+   *   { status: 'applied', code, type, amount, freeShipping }
+   * or { status: 'invalid' | 'expired' | 'not-started' | 'minimum', code, message }.
+   * `amount` is what comes off the subtotal (0 for free shipping).
+   */
+  evaluate(code, subtotal, now = new Date()) {
+    const key = normalizeCode(code);
+    const rule = this.codes.get(key);
+
+    if (!rule) {
+      return { status: 'invalid', code: key, message: `"${key}" isn't a valid discount code.` };
+    }
+    if (rule.expiresAt && now >= new Date(rule.expiresAt)) {
+      return { status: 'expired', code: key, message: `${key} expired on ${formatDate(new Date(rule.expiresAt))}.` };
+    }
+    if (rule.startsAt && now < new Date(rule.startsAt)) {
+      return { status: 'not-started', code: key, message: `${key} starts on ${formatDate(new Date(rule.startsAt))}.` };
+    }
+
+    const minSubtotal = rule.minSubtotal ?? 0;
+    if (subtotal < minSubtotal) {
+      return {
+        status: 'minimum',
+        code: key,
+        minSubtotal,
+        message: `Add ${formatPrice(minSubtotal - subtotal)} more to use ${key} (orders over ${formatPrice(minSubtotal)}).`
+      };
+    }
+
+    return {
+      status: 'applied',
+      code: key,
+      type: rule.type,
+      amount: getAmount(rule, subtotal),
+      freeShipping: rule.type === 'free-shipping'
+    };
+  }
+}
+
+export function normalizeCode(code) {
+  return String(code ?? '').trim().toUpperCase();
+}
+
+// Worked in cents so 10% of $102.99 is $10.30, never $10.299
+function getAmount(rule, subtotal) {
+  const cents = Math.round(subtotal * 100);
+  if (rule.type === 'percent') return Math.round(cents * rule.value / 100) / 100;
+  if (rule.type === 'fixed') return Math.min(cents, Math.round(rule.value * 100)) / 100;
+  return 0;
+}
+
+function formatDate(date) {
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
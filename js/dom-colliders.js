@@ -0,0 +1,149 @@
+/**
+ * Neoball DOM Colliders
+ * Mirrors page elements (#buyBtn on index.html, .atc-btn on pdp.html...) as
+ * static boxes in a NeoballSimulation, so balls rest on real buttons. Boxes
+ * follow the elements on scroll, window resize and element resize, and the
+ * scroll itself is fed to the balls as momentum so they move with the page.
+ */
+export class DomColliders {
+  /**
+   * @param {NeoballSimulation} sim
+   * @param {object} options
+   * @param {Array<string|Element>} options.targets - selectors or elements
+   * @param {() => number} options.getScale - sim units per CSS pixel
+   * @param {() => void} [options.onDirty] - called when a scroll or resize leaves
+   *   the boxes out of date, e.g. to wake a render loop that sleeps in reduced motion
+   */
+  constructor(sim, options = {}) {
+    this.sim = sim;
+    this.getScale = options.getScale ?? (() => 1);
+    this.onDirty = options.onDirty ?? (() => {});
+
+    this.entries = (options.targets ?? []).map(target => ({ target, collider: null }));
+    this.listeners = [];
+    this.dirty = true;
+    // performance.now() of the last scroll/resize, for updateWhenIdle()
+    this.changedAt = 0;
+
+    this.onChange = () => {
+      this.dirty = true;
+      this.changedAt = performance.now();
+      this.onDirty();
+    };
+    this.listen(window, 'scroll', this.onChange, { passive: true });
+    this.listen(window, 'resize', this.onChange);
+    // The element itself changing size (web fonts, copy, responsive padding)
+    this.resizeObserver = typeof ResizeObserver === 'function' ? new ResizeObserver(this.onChange) : null;
+    this.observed = new Set();
+
+    this.reset();
+  }
+
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+
+  resolve(target) {
+    return typeof target === 'string' ? document.querySelector(target) : target;
+  }
+
+  // Reported as the wallhit surface, e.g. '#buyBtn'
+  getName(target, element) {
+    if (typeof target === 'string') return target;
+    return element.id ? `#${element.id}` : 'collider';
+  }
+
+  // Viewport rect (CSS pixels) → centered, y-up sim rect
+  toWorld(rect) {
+    const s = this.getScale();
+    return {
+      x: (rect.left + rect.width / 2 - window.innerWidth / 2) * s,
+      y: -(rect.top + rect.height / 2 - window.innerHeight / 2) * s,
+      width: rect.width * s,
+      height: rect.height * s
+    };
+  }
+
+  refresh() {
+    this.dirty = false;
+
+    for (const entry of this.entries) {
+      const element = this.resolve(entry.target);
+      const rect = element?.getBoundingClientRect();
+      // Selectors can match later, so observe whatever resolves
+      if (element && this.resizeObserver && !this.observed.has(element)) {
+        this.resizeObserver.observe(element);
+        this.observed.add(element);
+      }
+
+      // Missing or display:none elements have nothing to stand on
+      if (!rect || (rect.width === 0 && rect.height === 0)) {
+        if (entry.collider) this.sim.removeCollider(entry.collider);
+        entry.collider = null;
+        continue;
+      }
+
+      const worldRect = this.toWorld(rect);
+      if (entry.collider) {
+        this.sim.updateCollider(entry.collider, worldRect);
+      } else {
+        entry.collider = this.sim.addCollider(worldRect, this.getName(entry.target, element));
+      }
+    }
+  }
+
+  /**
+   * Called once per frame: turns the scroll since last frame into momentum
+   * (unless `momentum` is false) and moves the boxes. Returns true if they moved.
+   */
+  update(momentum = true) {
+    if (!this.dirty) return false;
+
+    const dx = window.scrollX - this.scrollX;
+    const dy = window.scrollY - this.scrollY;
+    this.scrollX = window.scrollX;
+    this.scrollY = window.scrollY;
+
+    if (momentum && (dx !== 0 || dy !== 0)) {
+      // Scrolling down moves the page up the screen (+y in the sim)
+      const s = this.getScale();
+      this.sim.applyScrollMomentum(-dx * s, dy * s);
+    }
+
+    this.refresh();
+    return true;
+  }
+
+  /**
+   * Reduced-motion variant of update(): no momentum, and the boxes only move
+   * once scrolling and resizing have been quiet for `idle` ms, so the caller
+   * re-settles once per scroll instead of every frame of it.
+   */
+  updateWhenIdle(idle = 150) {
+    if (!this.dirty || performance.now() - this.changedAt < idle) return false;
+    return this.update(false);
+  }
+
+  // Forget scroll that happened while paused instead of applying it as one kick
+  reset() {
+    this.scrollX = window.scrollX;
+    this.scrollY = window.scrollY;
+    this.dirty = true;
+  }
+
+  getColliders() {
+    return this.entries.map(entry => entry.collider).filter(Boolean);
+  }
+
+  destroy() {
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
+    this.resizeObserver?.disconnect();
+    this.observed.clear();
+    this.entries.forEach(entry => entry.collider && this.sim.removeCollider(entry.collider));
+    this.entries = [];
+  }
+}
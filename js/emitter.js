@@ -0,0 +1,47 @@
+/**
+ * Minimal event emitter
+ * on/off/emit for the ball classes and their helpers (no DOM dependency)
+ */
+export class Emitter {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  on(event, handler) {
+    if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+    this.handlers.get(event).add(handler);
+    return this;
+  }
+
+  off(event, handler) {
+    const handlers = this.handlers.get(event);
+    if (!handlers) return this;
+    if (handler) {
+      handlers.delete(handler);
+    } else {
+      handlers.clear();
+    }
+    return this;
+  }
+
+  emit(event, payload) {
+    const handlers = this.handlers.get(event);
+    if (!handlers) return;
+    // Copy so handlers can call off() while we iterate
+    for (const handler of [...handlers]) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`Neoball "${event}" handler failed:`, error);
+      }
+    }
+  }
+
+  hasListeners(event) {
+    return (this.handlers.get(event)?.size ?? 0) > 0;
+  }
+
+  removeAllListeners() {
+    this.handlers.clear();
+  }
+}
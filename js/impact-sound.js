@@ -0,0 +1,296 @@
+/**
+ * Neoball Impact Sound
+ * Optional Web Audio layer that turns collide/wallhit events into synthesized
+ * bounces, loudness scaled by impact velocity. Two profiles let visitors hear
+ * the difference: the Neoball's soft foam thud vs. a regular basketball's ping.
+ *
+ * Stays silent until the first user gesture (browsers block audio before one).
+ * Cookie consent covers storage only, not playback: the visitor's profile and
+ * mute choice are written to localStorage once they've accepted cookies
+ * (neoball_cookie_consent === 'accepted'), and otherwise live in memory.
+ */
+
+import { Emitter } from './emitter.js';
+
+const CONSENT_KEY = 'neoball_cookie_consent';
+const PREFS_KEY = 'neoball_sound';
+
+// thump: body of the bounce; ring: the inflated-shell "ping"; slap: contact noise
+export const SOUND_PROFILES = {
+  silent: {
+    label: 'Neoball (silent)',
+    volume: 0.08,
+    thumpFrequency: 70,
+    thumpDecay: 0.05,
+    ringLevel: 0,
+    ringFrequency: 0,
+    ringDecay: 0,
+    slapLevel: 0.15,
+    slapFrequency: 300
+  },
+  regular: {
+    label: 'Regular basketball',
+    volume: 0.9,
+    thumpFrequency: 110,
+    thumpDecay: 0.12,
+    ringLevel: 0.4,
+    ringFrequency: 620,
+    ringDecay: 0.3,
+    slapLevel: 0.5,
+    slapFrequency: 1800
+  }
+};
+
+const GESTURE_EVENTS = ['pointerdown', 'keydown', 'touchend'];
+
+export class ImpactSound extends Emitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      profile: options.profile ?? 'silent',
+      volume: options.volume ?? 1,
+      // Impact speeds (in the source's units) mapped to silence and full volume
+      minImpactVelocity: options.minImpactVelocity ?? 60,
+      maxImpactVelocity: options.maxImpactVelocity ?? 1500,
+      // Cap on overlapping sounds when many balls land at once
+      maxVoices: options.maxVoices ?? 8,
+      // Stereo position from the event; default assumes pixel units centered on the viewport
+      getPan: options.getPan ?? (event => event.position.x / (window.innerWidth / 2))
+    };
+
+    this.profile = SOUND_PROFILES[this.config.profile] ? this.config.profile : 'silent';
+    this.muted = false;
+    this.loadPreferences();
+
+    this.context = null;
+    this.noiseBuffer = null;
+    this.voices = 0;
+    this.sources = [];
+
+    this.onGesture = this.unlock.bind(this);
+    this.onConsentChange = () => this.savePreferences();
+    GESTURE_EVENTS.forEach(type => window.addEventListener(type, this.onGesture, { passive: true }));
+    window.addEventListener('neoball:consentchange', this.onConsentChange);
+  }
+
+  // Audio can only start from a user gesture
+  unlock() {
+    GESTURE_EVENTS.forEach(type => window.removeEventListener(type, this.onGesture));
+    if (this.context) return;
+
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    this.context = new AudioContext();
+    this.context.resume?.();
+  }
+
+  isUnlocked() {
+    return this.context !== null;
+  }
+
+  // Sources
+
+  // Listens to anything with on/off and collide/wallhit events (NeoballPhysics, overlays)
+  attach(source) {
+    const handler = event => this.onImpact(event);
+    source.on('collide', handler);
+    source.on('wallhit', handler);
+    this.sources.push({ source, handler });
+    return this;
+  }
+
+  detach(source) {
+    this.sources = this.sources.filter((entry) => {
+      if (entry.source !== source) return true;
+      source.off('collide', entry.handler);
+      source.off('wallhit', entry.handler);
+      return false;
+    });
+    return this;
+  }
+
+  onImpact(event) {
+    const strength = this.getStrength(event.impactVelocity);
+    if (strength === 0) return;
+    const pan = Math.max(-1, Math.min(1, this.config.getPan(event) || 0));
+    this.play(strength, pan);
+  }
+
+  // 0..1 loudness for an impact speed
+  getStrength(impactVelocity) {
+    const { minImpactVelocity: min, maxImpactVelocity: max } = this.config;
+    if (!(impactVelocity > min)) return 0;
+    return Math.min(1, (impactVelocity - min) / (max - min));
+  }
+
+  // Synthesis
+
+  play(strength, pan = 0) {
+    if (this.muted || !this.context || this.voices >= this.config.maxVoices) return;
+    this.playImpact(strength, pan);
+  }
+
+  playImpact(strength, pan) {
+    const ctx = this.context;
+    const p = SOUND_PROFILES[this.profile];
+    const now = ctx.currentTime;
+    const length = Math.max(p.thumpDecay, p.ringDecay) + 0.05;
+
+    const output = ctx.createGain();
+    output.gain.value = p.volume * this.config.volume * strength;
+    if (ctx.createStereoPanner) {
+      const panner = ctx.createStereoPanner();
+      panner.pan.value = pan;
+      output.connect(panner).connect(ctx.destination);
+    } else {
+      output.connect(ctx.destination);
+    }
+
+    // Thump: a sine that drops in pitch as the ball squashes
+    const thump = ctx.createOscillator();
+    const thumpGain = ctx.createGain();
+    thump.frequency.setValueAtTime(p.thumpFrequency * 2, now);
+    thump.frequency.exponentialRampToValueAtTime(p.thumpFrequency, now + p.thumpDecay);
+    thumpGain.gain.setValueAtTime(1, now);
+    thumpGain.gain.exponentialRampToValueAtTime(0.001, now + p.thumpDecay);
+    thump.connect(thumpGain).connect(output);
+    thump.start(now);
+    thump.stop(now + length);
+
+    // Ring: the air-filled shell resonating after a hard bounce
+    if (p.ringLevel > 0) {
+      const ring = ctx.createOscillator();
+      const ringGain = ctx.createGain();
+      ring.type = 'triangle';
+      ring.frequency.value = p.ringFrequency;
+      ringGain.gain.setValueAtTime(p.ringLevel * strength, now);
+      ringGain.gain.exponentialRampToValueAtTime(0.001, now + p.ringDecay);
+      ring.connect(ringGain).connect(output);
+      ring.start(now);
+      ring.stop(now + length);
+    }
+
+    // Slap: a short filtered noise burst at contact
+    const slap = ctx.createBufferSource();
+    const filter = ctx.createBiquadFilter();
+    const slapGain = ctx.createGain();
+    slap.buffer = this.getNoiseBuffer();
+    filter.type = 'bandpass';
+    filter.frequency.value = p.slapFrequency;
+    slapGain.gain.setValueAtTime(p.slapLevel, now);
+    slapGain.gain.exponentialRampToValueAtTime(0.001, now + 0.03);
+    slap.connect(filter).connect(slapGain).connect(output);
+    slap.start(now);
+
+    this.voices++;
+    thump.onended = () => {
+      this.voices--;
+      output.disconnect();
+    };
+  }
+
+  getNoiseBuffer() {
+    if (this.noiseBuffer) return this.noiseBuffer;
+    const ctx = this.context;
+    const buffer = ctx.createBuffer(1, Math.ceil(ctx.sampleRate * 0.05), ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    this.noiseBuffer = buffer;
+    return buffer;
+  }
+
+  // Settings
+
+  getProfile() {
+    return this.profile;
+  }
+
+  setProfile(name) {
+    if (!SOUND_PROFILES[name] || name === this.profile) return;
+    this.profile = name;
+    this.savePreferences();
+    this.emit('change', { profile: this.profile, muted: this.muted });
+  }
+
+  toggleProfile() {
+    this.setProfile(this.profile === 'silent' ? 'regular' : 'silent');
+  }
+
+  isMuted() {
+    return this.muted;
+  }
+
+  setMuted(muted) {
+    if (this.muted === Boolean(muted)) return;
+    this.muted = Boolean(muted);
+    this.savePreferences();
+    this.emit('change', { profile: this.profile, muted: this.muted });
+  }
+
+  // Preferences (consent decides whether they persist, never whether sound plays)
+
+  hasConsent() {
+    try {
+      return localStorage.getItem(CONSENT_KEY) === 'accepted';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  loadPreferences() {
+    if (!this.hasConsent()) return;
+    try {
+      const prefs = JSON.parse(localStorage.getItem(PREFS_KEY));
+      if (SOUND_PROFILES[prefs?.profile]) this.profile = prefs.profile;
+      if (typeof prefs?.muted === 'boolean') this.muted = prefs.muted;
+    } catch (e) {
+      // Corrupt or blocked storage: keep the defaults
+    }
+  }
+
+  savePreferences() {
+    try {
+      if (this.hasConsent()) {
+        localStorage.setItem(PREFS_KEY, JSON.stringify({ profile: this.profile, muted: this.muted }));
+      } else {
+        // Consent withdrawn (or never given): don't leave anything behind
+        localStorage.removeItem(PREFS_KEY);
+      }
+    } catch (e) {
+      // Storage blocked (private mode): settings stay in memory
+    }
+  }
+
+  destroy() {
+    GESTURE_EVENTS.forEach(type => window.removeEventListener(type, this.onGesture));
+    window.removeEventListener('neoball:consentchange', this.onConsentChange);
+    [...this.sources].forEach(({ source }) => this.detach(source));
+    this.removeAllListeners();
+    this.context?.close();
+    this.context = null;
+  }
+}
+
+/**
+ * Button that switches between the two profiles. The host page decides where
+ * it goes; NeoballPhysics mounts one when created with `sound: true`.
+ */
+export function createSoundToggle(sound) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'neoball-sound-toggle';
+
+  const render = () => {
+    const label = SOUND_PROFILES[sound.getProfile()].label;
+    button.textContent = `Sound: ${label}`;
+    button.setAttribute('aria-label', `Ball sound: ${label}. Switch profile`);
+  };
+
+  button.addEventListener('click', () => sound.toggleProfile());
+  sound.on('change', render);
+  render();
+
+  return button;
+}
@@ -0,0 +1,152 @@
+import * as THREE from 'three';
+
+/**
+ * Neoball Instanced Rendering
+ * Draws every ball in a layer with a single InstancedMesh. Per-instance data is
+ * the transform plus an index into a texture atlas, so mixed ball designs still
+ * cost one draw call ("ball rain" promos with hundreds of balls).
+ */
+
+/**
+ * Packs images (HTMLImageElement or canvas, e.g. normalizeBallTexture output)
+ * into one grid texture. Cell `i` is column i % columns, row floor(i / columns)
+ * counted from the top.
+ */
+export function createTextureAtlas(images, cellSize = 512) {
+  const count = Math.max(1, images.length);
+  const columns = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / columns);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = columns * cellSize;
+  canvas.height = rows * cellSize;
+  const ctx = canvas.getContext('2d');
+
+  images.forEach((image, i) => {
+    if (!image || !ctx) return;
+    const x = (i % columns) * cellSize;
+    const y = Math.floor(i / columns) * cellSize;
+    ctx.drawImage(image, x, y, cellSize, cellSize);
+  });
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  // No mipmaps: they would bleed neighbouring cells into each other
+  texture.generateMipmaps = false;
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+
+  return { texture, columns, rows, count: images.length };
+}
+
+// Remaps the material's map UVs into the instance's atlas cell
+function patchMaterialForAtlas(material, atlas) {
+  const grid = new THREE.Vector2(atlas ? atlas.columns : 1, atlas ? atlas.rows : 1);
+
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.atlasGrid = { value: grid };
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', `#include <common>
+attribute float atlasIndex;
+uniform vec2 atlasGrid;`)
+      .replace('#include <uv_vertex>', `#include <uv_vertex>
+#ifdef USE_MAP
+  float atlasCol = mod(atlasIndex, atlasGrid.x);
+  float atlasRow = floor(atlasIndex / atlasGrid.x);
+  vMapUv = (vMapUv + vec2(atlasCol, atlasGrid.y - 1.0 - atlasRow)) / atlasGrid;
+#endif`);
+  };
+  // Keep this program apart from unpatched materials of the same type
+  material.customProgramCacheKey = () => 'neoball-atlas';
+}
+
+export class InstancedBalls {
+  constructor({ geometry, material, atlas = null, capacity = 64 }) {
+    this.geometry = geometry;
+    this.material = material;
+    this.atlas = atlas;
+    this.count = 0;
+
+    if (atlas) this.material.map = atlas.texture;
+    patchMaterialForAtlas(this.material, atlas);
+
+    this.allocate(capacity);
+
+    this._matrix = new THREE.Matrix4();
+    this._position = new THREE.Vector3();
+    this._quaternion = new THREE.Quaternion();
+    this._scale = new THREE.Vector3();
+  }
+
+  allocate(capacity) {
+    const previous = this.mesh;
+
+    this.capacity = capacity;
+    this.atlasIndices = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+    this.geometry.setAttribute('atlasIndex', this.atlasIndices);
+
+    this.mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+    this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.count = this.count;
+    // Instances roam the whole viewport; the geometry's bounds say nothing about them
+    this.mesh.frustumCulled = false;
+
+    if (previous) {
+      this.mesh.instanceMatrix.array.set(previous.instanceMatrix.array.subarray(0, this.count * 16));
+      this.mesh.renderOrder = previous.renderOrder;
+      previous.parent?.add(this.mesh);
+      previous.parent?.remove(previous);
+      previous.dispose();
+    }
+  }
+
+  // Returns the new instance id; grows the buffers (and swaps the mesh) when full
+  add(atlasIndex = 0) {
+    if (this.count === this.capacity) {
+      const indices = this.atlasIndices.array.slice(0, this.count);
+      this.allocate(this.capacity * 2);
+      this.atlasIndices.array.set(indices);
+    }
+
+    const id = this.count++;
+    this.mesh.count = this.count;
+    this.setAtlasIndex(id, atlasIndex);
+    return id;
+  }
+
+  // Instances are removed from the end, matching NeoballSimulation.removeBall()
+  removeLast() {
+    if (this.count === 0) return;
+    this.count--;
+    this.mesh.count = this.count;
+  }
+
+  setAtlasIndex(id, atlasIndex) {
+    this.atlasIndices.setX(id, atlasIndex);
+    this.atlasIndices.needsUpdate = true;
+  }
+
+  // Accepts Cannon or Three vectors/quaternions; geometry is unit-sized, so scale sets the size
+  setTransform(id, position, quaternion, scale) {
+    this._position.set(position.x, position.y, position.z);
+    this._quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    this._scale.set(scale, scale, scale);
+    this._matrix.compose(this._position, this._quaternion, this._scale);
+    this.mesh.setMatrixAt(id, this._matrix);
+  }
+
+  update() {
+    this.mesh.instanceMatrix.needsUpdate = true;
+    // Raycasting tests this first; recomputed lazily on the next raycast
+    this.mesh.boundingSphere = null;
+  }
+
+  dispose() {
+    this.mesh.parent?.remove(this.mesh);
+    this.mesh.dispose();
+    this.geometry.dispose();
+    this.material.dispose();
+    this.atlas?.texture.dispose();
+  }
+}
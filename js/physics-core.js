@@ -0,0 +1,544 @@
+/**
+ * Neoball Simulation Core
+ * Renderer-agnostic Cannon-es world shared by NeoballPhysics and NeoballBallsOverlay.
+ * No Three.js, no DOM: runs under plain Node for tests.
+ *
+ * Units are whatever the caller uses (pixels for NeoballPhysics, world units for
+ * the overlay). The viewport is centered on the origin with +y up.
+ */
+
+import * as CANNON from 'cannon-es';
+import { createRandom, isSeeded } from './seeded-random.js';
+import { Emitter } from './emitter.js';
+
+// Collision groups: balls collide with balls and walls, walls only with balls
+export const GROUP_BALL = 1;
+export const GROUP_WALL = 2;
+
+/**
+ * Events emitted by the simulation (and re-emitted by the ball classes).
+ * Every payload has `type`, the ball's `index`, `textureIndex` (null if the
+ * renderer didn't set one) and `position`; plus:
+ *   grab     -
+ *   throw    velocity {x, y}
+ *   collide  otherIndex, otherTextureIndex, impactVelocity (first contact of two balls)
+ *   wallhit  surface ('floor', 'left'..., a collider name or 'other'), impactVelocity
+ *   sleep    -
+ */
+export const BALL_EVENTS = ['grab', 'throw', 'collide', 'wallhit', 'sleep'];
+
+export class NeoballSimulation extends Emitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      // Viewport size, centered on the origin
+      width: options.width ?? 1280,
+      height: options.height ?? 720,
+      // Layer depth (overlay stacks several worlds at different z)
+      z: options.z ?? 0,
+
+      // Ball settings
+      ballRadius: options.ballRadius ?? 45,
+      ballMass: options.ballMass ?? 1,
+      gravity: options.gravity ?? -15,
+      restitution: options.restitution ?? 0.7,
+      friction: options.friction ?? 0.3,
+      linearDamping: options.linearDamping ?? 0.1,
+      angularDamping: options.angularDamping ?? 0.3,
+
+      // Walls
+      wallThickness: options.wallThickness ?? 100,
+      wallDepth: options.wallDepth ?? 200,
+      wallFriction: options.wallFriction ?? options.friction ?? 0.3,
+      wallRestitution: options.wallRestitution ?? options.restitution ?? 0.7,
+      // Add front/back walls so balls stay on their layer (overlay)
+      depthWalls: options.depthWalls ?? false,
+      // Keep balls on the z = 0 plane. Without depth walls nothing else does, and
+      // spinning ball-ball contacts push them out along z past the side walls
+      lockZ: options.lockZ ?? !options.depthWalls,
+
+      // Solver
+      solverIterations: options.solverIterations ?? 10,
+      allowSleep: options.allowSleep ?? true,
+      contactStiffness: options.contactStiffness,
+      contactRelaxation: options.contactRelaxation,
+      timeStep: options.timeStep ?? 1 / 60,
+      maxSubSteps: options.maxSubSteps ?? 3,
+      maxDelta: options.maxDelta ?? 0.1,
+
+      // Dragging and throwing
+      dragFollow: options.dragFollow ?? 0.25,
+      throwForce: options.throwForce ?? 30,
+      maxThrowVelocity: options.maxThrowVelocity ?? 50,
+
+      // Page scroll: velocity added per unit the page moved this frame, and its cap
+      scrollMomentum: options.scrollMomentum ?? 8,
+      maxScrollVelocity: options.maxScrollVelocity ?? 1500,
+
+      seed: options.seed
+    };
+
+    // Callers may share their PRNG so one seed drives the whole run
+    this.random = options.random || createRandom(this.config.seed);
+    // Seeded runs advance one fixed step per call so motion doesn't depend on frame timing
+    this.fixedStep = options.fixedStep ?? isSeeded(this.config.seed);
+
+    this.balls = [];
+    this.walls = [];
+    // Boxes standing in for page elements (see DomColliders)
+    this.colliders = [];
+    // Body → ball record / surface name, to describe what a ball hit
+    this.ballsByBody = new WeakMap();
+    this.surfaceNames = new WeakMap();
+    // True while settle() fast-forwards; events are held back
+    this.settling = false;
+    // Settle spread over frames (beginSettle/continueSettle), or null
+    this.pendingSettle = null;
+
+    this.createWorld();
+    this.createBoundaries();
+  }
+
+  createWorld() {
+    this.world = new CANNON.World();
+    this.world.gravity.set(0, this.config.gravity, 0);
+
+    // Use SAPBroadphase for better performance with many objects
+    this.world.broadphase = new CANNON.SAPBroadphase(this.world);
+    this.world.allowSleep = this.config.allowSleep;
+    this.world.solver.iterations = this.config.solverIterations;
+
+    if (this.config.contactStiffness !== undefined) {
+      this.world.defaultContactMaterial.contactEquationStiffness = this.config.contactStiffness;
+    }
+    if (this.config.contactRelaxation !== undefined) {
+      this.world.defaultContactMaterial.contactEquationRelaxation = this.config.contactRelaxation;
+    }
+
+    this.ballMaterial = new CANNON.Material('ball');
+    this.wallMaterial = new CANNON.Material('wall');
+
+    // Ball-ball collisions
+    this.world.addContactMaterial(new CANNON.ContactMaterial(this.ballMaterial, this.ballMaterial, {
+      friction: this.config.friction,
+      restitution: this.config.restitution
+    }));
+
+    // Ball-wall collisions
+    this.world.addContactMaterial(new CANNON.ContactMaterial(this.ballMaterial, this.wallMaterial, {
+      friction: this.config.wallFriction,
+      restitution: this.config.wallRestitution
+    }));
+  }
+
+  getWallLayout() {
+    const { width: w, height: h, z, wallThickness: t, wallDepth: d } = this.config;
+
+    const layout = [
+      { name: 'floor', pos: [0, -h / 2 - t / 2, z], size: [w * 2, t, d] },
+      { name: 'ceiling', pos: [0, h / 2 + t / 2, z], size: [w * 2, t, d] },
+      { name: 'left', pos: [-w / 2 - t / 2, 0, z], size: [t, h * 2, d] },
+      { name: 'right', pos: [w / 2 + t / 2, 0, z], size: [t, h * 2, d] }
+    ];
+
+    if (this.config.depthWalls) {
+      layout.push(
+        { name: 'back', pos: [0, 0, z - t], size: [w * 2, h * 2, t] },
+        { name: 'front', pos: [0, 0, z + t], size: [w * 2, h * 2, t] }
+      );
+    }
+
+    return layout;
+  }
+
+  createBoundaries() {
+    this.walls = this.getWallLayout().map((c) => {
+      const body = new CANNON.Body({
+        mass: 0, // Static
+        material: this.wallMaterial,
+        position: new CANNON.Vec3(...c.pos),
+        collisionFilterGroup: GROUP_WALL,
+        collisionFilterMask: GROUP_BALL
+      });
+      body.addShape(new CANNON.Box(new CANNON.Vec3(c.size[0] / 2, c.size[1] / 2, c.size[2] / 2)));
+      this.world.addBody(body);
+      this.surfaceNames.set(body, c.name);
+      return body;
+    });
+  }
+
+  resize(width, height) {
+    this.config.width = width;
+    this.config.height = height;
+    this.updateBoundaries();
+  }
+
+  updateBoundaries() {
+    const layout = this.getWallLayout();
+    this.walls.forEach((wall, i) => {
+      const c = layout[i];
+      wall.position.set(...c.pos);
+      // Walls are sized from the viewport, so regrow them when it changes
+      wall.shapes[0].halfExtents.set(c.size[0] / 2, c.size[1] / 2, c.size[2] / 2);
+      wall.shapes[0].updateConvexPolyhedronRepresentation();
+      wall.shapes[0].updateBoundingSphereRadius();
+      wall.updateBoundingRadius();
+      wall.aabbNeedsUpdate = true;
+    });
+
+    // Anything pushed outside by a shrinking viewport goes back in
+    this.balls.forEach(ball => this.keepInside(ball));
+  }
+
+  keepInside(ball) {
+    const r = ball.radius;
+    const maxX = Math.max(0, this.config.width / 2 - r);
+    const maxY = Math.max(0, this.config.height / 2 - r);
+    const p = ball.body.position;
+    const x = Math.max(-maxX, Math.min(maxX, p.x));
+    const y = Math.max(-maxY, Math.min(maxY, p.y));
+    if (x !== p.x || y !== p.y) {
+      p.set(x, y, p.z);
+      ball.body.wakeUp();
+    }
+  }
+
+  /**
+   * Adds a static box the balls rest on and bounce off, e.g. a button's
+   * bounding box. `rect` is { x, y, width, height } with x/y at its center;
+   * `name` is reported as the surface of wallhit events.
+   */
+  addCollider(rect, name = 'collider') {
+    const body = new CANNON.Body({
+      mass: 0,
+      material: this.wallMaterial,
+      collisionFilterGroup: GROUP_WALL,
+      collisionFilterMask: GROUP_BALL
+    });
+    body.addShape(new CANNON.Box(new CANNON.Vec3(1, 1, this.config.wallDepth / 2)));
+    this.world.addBody(body);
+    this.surfaceNames.set(body, name);
+
+    const collider = { body, name, rect: null };
+    this.colliders.push(collider);
+    this.updateCollider(collider, rect);
+    return collider;
+  }
+
+  updateCollider(collider, rect) {
+    const { x, y, width, height } = rect;
+    const body = collider.body;
+    const shape = body.shapes[0];
+
+    body.position.set(x, y, this.config.z);
+    shape.halfExtents.set(Math.max(width, 0) / 2, Math.max(height, 0) / 2, this.config.wallDepth / 2);
+    shape.updateConvexPolyhedronRepresentation();
+    shape.updateBoundingSphereRadius();
+    body.updateBoundingRadius();
+    body.aabbNeedsUpdate = true;
+    collider.rect = { x, y, width, height };
+
+    // Static bodies don't wake what rests on them, so a moved button would leave balls floating
+    this.balls.forEach(ball => ball.body.wakeUp());
+  }
+
+  // Names a caller-owned body (e.g. a pointer collider) for wallhit events
+  setSurfaceName(body, name) {
+    this.surfaceNames.set(body, name);
+  }
+
+  removeCollider(collider) {
+    const index = this.colliders.indexOf(collider);
+    if (index === -1) return;
+    this.colliders.splice(index, 1);
+    this.world.removeBody(collider.body);
+  }
+
+  /**
+   * Adds the page's motion to the balls so they ride along with a scroll.
+   * dx/dy is how far the page content moved this frame, in sim units.
+   */
+  applyScrollMomentum(dx, dy) {
+    const max = this.config.maxScrollVelocity;
+    const vx = Math.max(-max, Math.min(max, dx * this.config.scrollMomentum));
+    const vy = Math.max(-max, Math.min(max, dy * this.config.scrollMomentum));
+    if (vx === 0 && vy === 0) return;
+
+    this.balls.forEach(ball => {
+      ball.body.wakeUp();
+      ball.body.velocity.x += vx;
+      ball.body.velocity.y += vy;
+    });
+  }
+
+  /**
+   * Adds a ball. Without a position it drops in near the top middle of the
+   * viewport. Extra fields (mesh, sprite, textureIndex...) are kept on
+   * the returned record so renderers can hang their objects off it.
+   */
+  addBall(options = {}) {
+    const {
+      x = (this.random() - 0.5) * this.config.width * 0.5,
+      y = this.config.height / 3,
+      z = this.config.z,
+      velocity,
+      angularVelocity,
+      quaternion,
+      radius = this.config.ballRadius,
+      mass = this.config.ballMass,
+      ...extra
+    } = options;
+
+    const body = new CANNON.Body({
+      mass,
+      material: this.ballMaterial,
+      linearDamping: this.config.linearDamping,
+      angularDamping: this.config.angularDamping,
+      collisionFilterGroup: GROUP_BALL,
+      collisionFilterMask: GROUP_BALL | GROUP_WALL,
+      sleepSpeedLimit: 0.5,
+      sleepTimeLimit: 1
+    });
+    body.addShape(new CANNON.Sphere(radius));
+    body.position.set(x, y, z);
+    if (this.config.lockZ) body.linearFactor.set(1, 1, 0);
+    if (velocity) body.velocity.set(velocity.x || 0, velocity.y || 0, velocity.z || 0);
+    if (angularVelocity) body.angularVelocity.set(angularVelocity.x || 0, angularVelocity.y || 0, angularVelocity.z || 0);
+    if (quaternion) body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+
+    this.world.addBody(body);
+
+    const ball = { ...extra, body, radius, index: this.balls.length };
+    this.balls.push(ball);
+
+    this.ballsByBody.set(body, ball);
+    body.addEventListener('collide', event => this.onBallCollide(ball, event));
+    body.addEventListener('sleep', () => {
+      if (!this.settling) this.emit('sleep', this.describeBall(ball, 'sleep'));
+    });
+
+    return ball;
+  }
+
+  removeBall() {
+    if (this.balls.length === 0) return null;
+    const ball = this.balls.pop();
+    this.world.removeBody(ball.body);
+    return ball;
+  }
+
+  // Puts a ball taken out with removeBall() back (quality culling keeps the records)
+  restoreBall(ball) {
+    ball.index = this.balls.length;
+    this.balls.push(ball);
+    this.world.addBody(ball.body);
+    // The viewport may have shrunk while the ball was out of the world
+    this.keepInside(ball);
+    ball.body.wakeUp();
+    return ball;
+  }
+
+  // Events
+
+  describeBall(ball, type) {
+    const p = ball.body.position;
+    return {
+      type,
+      index: ball.index,
+      textureIndex: ball.textureIndex ?? null,
+      position: { x: p.x, y: p.y, z: p.z }
+    };
+  }
+
+  // Cannon fires 'collide' on both bodies, once per new contact
+  onBallCollide(ball, event) {
+    // settle() runs a whole fall in one go; nobody sees those impacts
+    if (this.settling) return;
+
+    const other = this.ballsByBody.get(event.body);
+    // Ball-ball contacts reach both balls; report each pair once
+    if (other && other.index < ball.index) return;
+
+    const contact = event.contact;
+    const point = contact.bi.position.vadd(contact.ri);
+    const impactVelocity = Math.abs(contact.getImpactVelocityAlongNormal());
+
+    if (other) {
+      this.emit('collide', {
+        ...this.describeBall(ball, 'collide'),
+        position: { x: point.x, y: point.y, z: point.z },
+        otherIndex: other.index,
+        otherTextureIndex: other.textureIndex ?? null,
+        impactVelocity
+      });
+    } else {
+      this.emit('wallhit', {
+        ...this.describeBall(ball, 'wallhit'),
+        position: { x: point.x, y: point.y, z: point.z },
+        surface: this.surfaceNames.get(event.body) ?? 'other',
+        impactVelocity
+      });
+    }
+  }
+
+  step(delta = this.config.timeStep) {
+    // Fixed timestep physics
+    if (this.fixedStep) {
+      this.world.step(this.config.timeStep);
+    } else {
+      this.world.step(this.config.timeStep, Math.min(delta, this.config.maxDelta), this.config.maxSubSteps);
+    }
+  }
+
+  /**
+   * Steps (synchronously) until every ball has been slow for `restSteps` steps
+   * in a row, then stops them dead. Gives reduced-motion mode a resting layout
+   * without animating the way there. Returns the number of steps taken.
+   */
+  settle(maxSteps = 600, restSteps = 30) {
+    this.beginSettle(maxSteps, restSteps);
+    const pending = this.pendingSettle;
+    this.continueSettle(Infinity);
+    return pending.steps;
+  }
+
+  // Starts (or restarts) a settle that continueSettle() works through a few steps per frame
+  beginSettle(maxSteps = 600, restSteps = 30) {
+    this.pendingSettle = { steps: 0, still: 0, maxSteps, restSteps };
+  }
+
+  isSettlePending() {
+    return this.pendingSettle !== null;
+  }
+
+  /**
+   * Takes at most `budget` steps of the pending settle, so a long one doesn't
+   * stall a frame. Returns true once the balls are at rest (or nothing was pending).
+   */
+  continueSettle(budget = 20) {
+    const pending = this.pendingSettle;
+    if (!pending) return true;
+
+    this.settling = true;
+    for (let i = 0; i < budget && pending.steps < pending.maxSteps && pending.still < pending.restSteps; i++) {
+      this.world.step(this.config.timeStep);
+      pending.steps++;
+      const resting = this.balls.every(ball => ball.body.velocity.length() < ball.body.sleepSpeedLimit);
+      pending.still = resting ? pending.still + 1 : 0;
+    }
+    this.settling = false;
+
+    if (pending.steps < pending.maxSteps && pending.still < pending.restSteps) return false;
+
+    this.balls.forEach((ball) => {
+      ball.body.velocity.setZero();
+      ball.body.angularVelocity.setZero();
+    });
+    this.pendingSettle = null;
+    return true;
+  }
+
+  // Interaction
+
+  grabBall(ball) {
+    // Wake up the body and stop its motion
+    ball.body.wakeUp();
+    ball.body.velocity.setZero();
+    ball.body.angularVelocity.setZero();
+    this.emit('grab', this.describeBall(ball, 'grab'));
+  }
+
+  dragBall(ball, x, y) {
+    // Apply velocity towards the target (creates smooth following)
+    const body = ball.body;
+    body.velocity.x = (x - body.position.x) * this.config.dragFollow;
+    body.velocity.y = (y - body.position.y) * this.config.dragFollow;
+  }
+
+  // Gentle push for reduced-motion mode (no spin), usually followed by settle()
+  nudgeBall(ball, vx, vy) {
+    ball.body.wakeUp();
+    ball.body.velocity.set(vx, vy, 0);
+    ball.body.angularVelocity.setZero();
+  }
+
+  /**
+   * Throws a ball with the pointer velocity it was released at (units per
+   * ~16ms frame). Clamped to maxThrowVelocity to prevent crazy throws.
+   */
+  throwBall(ball, vx, vy) {
+    const maxVel = this.config.maxThrowVelocity;
+    const cx = Math.max(-maxVel, Math.min(maxVel, vx));
+    const cy = Math.max(-maxVel, Math.min(maxVel, vy));
+
+    const body = ball.body;
+    body.wakeUp();
+    body.velocity.x = cx * this.config.throwForce;
+    body.velocity.y = cy * this.config.throwForce;
+
+    // Add spin based on throw direction
+    body.angularVelocity.set(
+      cy * 0.15,
+      -cx * 0.15,
+      (this.random() - 0.5) * 2
+    );
+
+    const velocity = { x: body.velocity.x, y: body.velocity.y };
+    this.emit('throw', { ...this.describeBall(ball, 'throw'), velocity });
+    return velocity;
+  }
+
+  applyImpulseToAll(force = { x: 0, y: 500, z: 0 }) {
+    const impulse = new CANNON.Vec3(force.x || 0, force.y || 0, force.z || 0);
+    this.balls.forEach(ball => {
+      ball.body.wakeUp();
+      ball.body.applyImpulse(impulse, ball.body.position);
+      // Add random spin
+      ball.body.angularVelocity.set(
+        (this.random() - 0.5) * 10,
+        (this.random() - 0.5) * 10,
+        (this.random() - 0.5) * 10
+      );
+    });
+  }
+
+  setGravity(x, y, z = 0) {
+    this.world.gravity.set(x, y, z);
+    // Wake all balls
+    this.balls.forEach(ball => ball.body.wakeUp());
+  }
+
+  // State
+
+  getBallState(ball) {
+    const { position: p, velocity: v, quaternion: q, angularVelocity: w } = ball.body;
+    return {
+      index: ball.index,
+      radius: ball.radius,
+      position: { x: p.x, y: p.y, z: p.z },
+      velocity: { x: v.x, y: v.y, z: v.z },
+      quaternion: { x: q.x, y: q.y, z: q.z, w: q.w },
+      angularVelocity: { x: w.x, y: w.y, z: w.z },
+      sleeping: ball.body.sleepState === CANNON.Body.SLEEPING
+    };
+  }
+
+  getState() {
+    return this.balls.map(ball => this.getBallState(ball));
+  }
+
+  getBallCount() {
+    return this.balls.length;
+  }
+
+  destroy() {
+    this.balls.forEach(ball => this.world.removeBody(ball.body));
+    this.walls.forEach(wall => this.world.removeBody(wall));
+    this.colliders.forEach(collider => this.world.removeBody(collider.body));
+    this.balls = [];
+    this.walls = [];
+    this.colliders = [];
+    this.removeAllListeners();
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Neoball Pricing
+ * The one place prices are worked out: product prices come from the catalog,
+ * cart totals and savings are summed in cents, and the free-shipping threshold,
+ * financing and Subscribe & Save terms are configuration rather than copy.
+ * Discount codes are checked by the DiscountRules passed as `discounts`.
+ */
+
+import { PRODUCTS } from './catalog.js';
+
+export class PricingEngine {
+  constructor(options = {}) {
+    this.config = {
+      catalog: options.catalog ?? PRODUCTS,
+      // Subtotal (after discounts) that ships free
+      freeShippingThreshold: options.freeShippingThreshold ?? 75,
+      // Installment plan behind "Starting at $X/mo" (the 0% APR offer is separate copy)
+      installments: options.installments ?? 12,
+      installmentApr: options.installmentApr ?? 0.25,
+      // Subscribe & Save: off every subscribable line, re-shipped every intervalMonths
+      subscriptionDiscount: options.subscriptionDiscount ?? 0.15,
+      subscriptionIntervalMonths: options.subscriptionIntervalMonths ?? 6,
+      // DiscountRules (js/discounts.js); without one, discount codes are ignored
+      discounts: options.discounts ?? null
+    };
+  }
+
+  // Current catalog price wins over the price a saved line was added at
+  getUnitPrice(line) {
+    const product = this.config.catalog[line.id];
+    return {
+      price: product?.price ?? line.price,
+      originalPrice: product?.originalPrice ?? product?.price ?? line.originalPrice ?? line.price
+    };
+  }
+
+  getProductPrice(id) {
+    const product = this.config.catalog[id];
+    if (!product) return null;
+    const price = product.price;
+    const originalPrice = product.originalPrice ?? price;
+    return {
+      price,
+      originalPrice,
+      savings: fromCents(toCents(originalPrice) - toCents(price)),
+      monthly: this.getMonthlyPayment(price)
+    };
+  }
+
+  // Fixed monthly payment that pays off `price` over the installment plan, rounded up to the cent
+  getMonthlyPayment(price) {
+    const { installments: months, installmentApr: apr } = this.config;
+    const rate = apr / 12;
+    const cents = toCents(price);
+    const payment = rate === 0 ? cents / months : cents * rate / (1 - (1 + rate) ** -months);
+    return fromCents(Math.ceil(payment));
+  }
+
+  /**
+   * Totals for a list of cart lines. With `subscribe`, subscribable lines are
+   * discounted and carry their `subscription` schedule (`now` sets the start
+   * date). A `discountCode` is evaluated against the subtotal: `discount` holds
+   * the result (applied or why not) and, when applied, `discounts` lists it
+   * and the amount comes off `total`. `savings` is everything off the
+   * compare-at prices, discount included; shipping progress is measured
+   * against the total.
+   */
+  quote(lines, { subscribe = false, now = new Date(), discountCode = null } = {}) {
+    let subtotal = 0;
+    let compareAt = 0;
+    let itemCount = 0;
+
+    const priced = lines.map((line) => {
+      const { price: basePrice, originalPrice } = this.getUnitPrice(line);
+      const subscription = subscribe && this.isSubscribable(line) ? this.getSubscription(now) : null;
+      const price = subscription
+        ? fromCents(Math.round(toCents(basePrice) * (1 - this.config.subscriptionDiscount)))
+        : basePrice;
+
+      const total = toCents(price) * line.quantity;
+      subtotal += total;
+      compareAt += toCents(originalPrice) * line.quantity;
+      itemCount += line.quantity;
+      return { ...line, price, basePrice, originalPrice, subscription, total: fromCents(total) };
+    });
+
+    const discount = discountCode && this.config.discounts && priced.length > 0
+      ? this.config.discounts.evaluate(discountCode, fromCents(subtotal), now)
+      : null;
+    const applied = discount?.status === 'applied' ? discount : null;
+    const total = subtotal - (applied ? toCents(applied.amount) : 0);
+
+    return {
+      lines: priced,
+      itemCount,
+      subtotal: fromCents(subtotal),
+      discount,
+      discounts: applied ? [{ code: applied.code, type: applied.type, amount: applied.amount }] : [],
+      savings: fromCents(Math.max(0, compareAt - total)),
+      // What the visitor pays before taxes and shipping
+      total: fromCents(total),
+      subscribe: priced.some(line => line.subscription),
+      shipping: this.getShippingProgress(fromCents(total), { free: applied?.freeShipping })
+    };
+  }
+
+  isSubscribable(line) {
+    return Boolean(this.config.catalog[line.id]?.subscribable ?? line.subscribable);
+  }
+
+  // Recurring schedule for a subscription starting `now`
+  getSubscription(now) {
+    return {
+      discount: this.config.subscriptionDiscount,
+      intervalMonths: this.config.subscriptionIntervalMonths,
+      nextShipDate: addMonths(now, this.config.subscriptionIntervalMonths)
+    };
+  }
+
+  // `free` forces free shipping whatever the amount (e.g. a FREESHIP code)
+  getShippingProgress(amount, { free = false } = {}) {
+    const threshold = this.config.freeShippingThreshold;
+    const remaining = free ? 0 : fromCents(Math.max(0, toCents(threshold) - toCents(amount)));
+    return {
+      threshold,
+      remaining,
+      free: remaining === 0,
+      progress: free || threshold <= 0 ? 100 : Math.min(100, (amount / threshold) * 100)
+    };
+  }
+}
+
+// "You're $X away" until the threshold is reached, then the unlocked message (HTML)
+export function formatShippingMessage(shipping) {
+  return shipping.free
+    ? 'You\'ve unlocked <strong>FREE</strong> shipping!'
+    : `You're <strong>${formatPrice(shipping.remaining)}</strong> away from FREE shipping!`;
+}
+
+// Whole dollars as "$78", cents as "$24.99"
+export function formatPrice(amount) {
+  const rounded = Math.round(amount * 100) / 100;
+  return Number.isInteger(rounded) ? `$${rounded}` : `$${rounded.toFixed(2)}`;
+}
+
+// Same day n months on, clamped to the end of shorter months (Aug 31 + 6 → Feb 28)
+function addMonths(date, months) {
+  const next = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(date.getDate(), lastDay));
+  return next;
+}
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
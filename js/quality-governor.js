@@ -0,0 +1,94 @@
+/**
+ * Adaptive Quality Governor
+ * Watches the once-per-second FPS sample and steps quality down when the frame
+ * rate stays under target, back up when there is headroom. Renderer-agnostic:
+ * tiers are scale factors the ball classes apply to their own base settings.
+ */
+
+import { Emitter } from './emitter.js';
+
+// Tier 0 is the configured quality; each step down scales it back
+export const QUALITY_TIERS = [
+  { name: 'high', pixelRatio: 1, solverIterations: 1, maxSubSteps: 1, ballCount: 1 },
+  { name: 'medium', pixelRatio: 0.75, solverIterations: 0.7, maxSubSteps: 0.67, ballCount: 0.75 },
+  { name: 'low', pixelRatio: 0.5, solverIterations: 0.5, maxSubSteps: 0.34, ballCount: 0.5 }
+];
+
+export class QualityGovernor extends Emitter {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      tiers: options.tiers ?? QUALITY_TIERS,
+      // Step down after `downAfter` consecutive seconds below targetFps
+      targetFps: options.targetFps ?? 50,
+      downAfter: options.downAfter ?? 2,
+      // Step up after `upAfter` consecutive seconds at or above upFps
+      upFps: options.upFps ?? 58,
+      upAfter: options.upAfter ?? 5
+    };
+
+    this.tierIndex = Math.min(options.initialTier ?? 0, this.config.tiers.length - 1);
+    this.lowSamples = 0;
+    this.highSamples = 0;
+  }
+
+  getTier() {
+    return this.config.tiers[this.tierIndex];
+  }
+
+  /**
+   * Feed one FPS measurement (the classes call this once per second).
+   * Returns the tier in effect afterwards.
+   */
+  sample(fps) {
+    if (fps < this.config.targetFps) {
+      this.lowSamples++;
+      this.highSamples = 0;
+    } else if (fps >= this.config.upFps) {
+      this.highSamples++;
+      this.lowSamples = 0;
+    } else {
+      // In the comfortable band: hold the current tier
+      this.lowSamples = 0;
+      this.highSamples = 0;
+    }
+
+    if (this.lowSamples >= this.config.downAfter && this.tierIndex < this.config.tiers.length - 1) {
+      this.setTier(this.tierIndex + 1, fps);
+    } else if (this.highSamples >= this.config.upAfter && this.tierIndex > 0) {
+      this.setTier(this.tierIndex - 1, fps);
+    }
+
+    return this.getTier();
+  }
+
+  setTier(index, fps) {
+    const next = Math.max(0, Math.min(index, this.config.tiers.length - 1));
+    if (next === this.tierIndex) return;
+
+    const previous = this.getTier();
+    this.tierIndex = next;
+    this.lowSamples = 0;
+    this.highSamples = 0;
+
+    this.emit('tierchange', {
+      tier: this.getTier(),
+      index: next,
+      previous,
+      direction: next > this.config.tiers.indexOf(previous) ? 'down' : 'up',
+      fps
+    });
+  }
+
+  reset() {
+    this.setTier(0);
+    this.lowSamples = 0;
+    this.highSamples = 0;
+  }
+}
+
+// Scales a base setting by a tier factor, never below `min`
+export function scaleSetting(base, factor, min = 1) {
+  return Math.max(min, Math.round(base * factor));
+}
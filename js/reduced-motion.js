@@ -0,0 +1,37 @@
+/**
+ * Reduced motion preference
+ * Resolves the ball classes' `reducedMotion` option ('auto', true or false)
+ * and, for 'auto', follows `prefers-reduced-motion` live.
+ */
+
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Calls `onChange(enabled)` whenever the media query flips (only in 'auto'
+ * mode). Returns the current state and a stop() to remove the listener.
+ */
+export function watchReducedMotion(mode, onChange) {
+  if (mode !== 'auto') return { enabled: Boolean(mode), stop() {} };
+
+  const query = window.matchMedia?.(REDUCED_MOTION_QUERY);
+  if (!query) return { enabled: false, stop() {} };
+
+  const handler = event => onChange(event.matches);
+  // Safari < 14 only has the deprecated addListener
+  if (query.addEventListener) {
+    query.addEventListener('change', handler);
+  } else {
+    query.addListener?.(handler);
+  }
+
+  return {
+    enabled: query.matches,
+    stop() {
+      if (query.removeEventListener) {
+        query.removeEventListener('change', handler);
+      } else {
+        query.removeListener?.(handler);
+      }
+    }
+  };
+}
@@ -0,0 +1,37 @@
+/**
+ * Seeded random numbers
+ * Mulberry32 PRNG so a given seed always reproduces the same balls and motion
+ */
+
+// Hash any seed (number or string) down to a 32-bit unsigned integer
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Returns a Math.random-compatible function.
+ * Without a seed this is Math.random itself, so unseeded pages behave as before.
+ */
+export function createRandom(seed) {
+  if (!isSeeded(seed)) return Math.random;
+
+  let state = hashSeed(seed);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function isSeeded(seed) {
+  return !(seed === undefined || seed === null || seed === '');
+}
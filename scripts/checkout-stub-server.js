@@ -0,0 +1,117 @@
+/**
+ * Checkout stub server
+ * Stands in for a real checkout backend during development and tests. Accepts
+ * the payload from js/checkout.js on POST /checkout, re-prices it with the
+ * site's own catalog and answers with a redirect back to the PDP.
+ *
+ *   npm run checkout:stub            # http://localhost:8787/checkout
+ *   POST /checkout?fail=503          # force an error status
+ *   CHECKOUT_STUB_FAIL_FIRST=2 ...   # first 2 requests answer 503 (retry testing)
+ */
+
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { PricingEngine } from '../js/pricing.js';
+import { DiscountRules } from '../js/discounts.js';
+import { getProduct } from '../js/catalog.js';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+export function createCheckoutStubServer(options = {}) {
+  const pricing = new PricingEngine({ discounts: new DiscountRules() });
+  // Where the mock "payment page" sends the visitor back to
+  const returnUrl = options.returnUrl ?? 'http://localhost:8080/pdp.html';
+  let failFirst = options.failFirst ?? 0;
+  let orderNumber = 1000;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+    res.end(JSON.stringify(body));
+  };
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    if (req.method !== 'POST' || url.pathname !== '/checkout') {
+      send(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const forced = Number(url.searchParams.get('fail'));
+      if (forced >= 400) {
+        send(res, forced, { error: `Stub failure (${forced}).` });
+        return;
+      }
+      if (failFirst > 0) {
+        failFirst--;
+        send(res, 503, { error: 'Checkout is busy, please try again.' });
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(raw);
+      } catch (e) {
+        send(res, 400, { error: 'Invalid JSON.' });
+        return;
+      }
+
+      const error = validate(payload, pricing);
+      if (error) {
+        send(res, error.status, { error: error.message });
+        return;
+      }
+
+      const order = `MOCK-${++orderNumber}`;
+      send(res, 201, { order, redirectUrl: `${returnUrl}?checkout=success&order=${order}` });
+    });
+  });
+}
+
+// Same checks a real backend would make before taking payment
+function validate(payload, pricing) {
+  if (payload?.version !== 1 || !Array.isArray(payload.lines) || payload.lines.length === 0) {
+    return { status: 400, message: 'Your cart is empty.' };
+  }
+
+  for (const line of payload.lines) {
+    const product = getProduct(line.id);
+    if (!product) return { status: 422, message: `We no longer sell ${line.id}.` };
+    if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+      return { status: 422, message: 'Quantities must be whole numbers.' };
+    }
+    if (line.quantity > (product.stock ?? Infinity)) {
+      const name = product.variant ? `${product.name} (${product.variant})` : product.name;
+      return { status: 409, message: product.stock > 0 ? `Only ${product.stock} left of ${name}.` : `${name} is sold out.` };
+    }
+  }
+
+  const discountCode = payload.discounts?.[0]?.code ?? null;
+  const quote = pricing.quote(payload.lines, { subscribe: payload.subscribe, discountCode });
+  if (discountCode && quote.discount?.status !== 'applied') {
+    return { status: 422, message: quote.discount?.message ?? `${discountCode} can't be used.` };
+  }
+  if (Math.abs(quote.total - payload.totals?.total) > 0.005) {
+    return { status: 409, message: 'Prices have changed. Please review your cart.' };
+  }
+  return null;
+}
+
+// Run directly: node scripts/checkout-stub-server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT ?? 8787);
+  createCheckoutStubServer({ failFirst: Number(process.env.CHECKOUT_STUB_FAIL_FIRST ?? 0) })
+    .listen(port, () => console.log(`Checkout stub listening on http://localhost:${port}/checkout`));
+}
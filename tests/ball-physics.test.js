@@ -0,0 +1,995 @@
+/**
+ * Neoball physics tests
+ * Runs the headless simulation core under plain Node, plus NeoballPhysics and
+ * NeoballBallsOverlay built with `headless: true` (jsdom window, no WebGL).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import * as THREE from 'three';
+import { NeoballSimulation } from '../js/physics-core.js';
+import { QualityGovernor } from '../js/quality-governor.js';
+import { DomColliders } from '../js/dom-colliders.js';
+import { createRandom } from '../js/seeded-random.js';
+import { resolveTextureSet, getDefaultBallCount, buildTextureSequence } from '../js/ball-textures.js';
+
+// ball-physics.js reads window.THREE at import time
+const dom = new JSDOM('<!DOCTYPE html><body></body>', { pretendToBeVisual: true });
+globalThis.window = dom.window;
+globalThis.navigator = dom.window.navigator;
+globalThis.document = dom.window.document;
+globalThis.DeviceOrientationEvent = dom.window.DeviceOrientationEvent;
+window.THREE = THREE;
+const { NeoballPhysics } = await import('../js/ball-physics.js');
+const { NeoballBallsOverlay, NeoballLayerManager } = await import('../js/balls-overlay.js');
+
+function createSim(options = {}) {
+  return new NeoballSimulation({ width: 800, height: 600, ballRadius: 40, seed: 'tests', ...options });
+}
+
+function stepFor(sim, frames) {
+  for (let i = 0; i < frames; i++) sim.step(1 / 60);
+}
+
+function assertInside(sim) {
+  const { width, height } = sim.config;
+  for (const ball of sim.getState()) {
+    const r = ball.radius;
+    // Allow a little solver penetration
+    const slack = r * 0.25;
+    assert.ok(Math.abs(ball.position.x) <= width / 2 - r + slack, `ball ${ball.index} x=${ball.position.x} outside ${width}`);
+    assert.ok(Math.abs(ball.position.y) <= height / 2 - r + slack, `ball ${ball.index} y=${ball.position.y} outside ${height}`);
+  }
+}
+
+function setWindowSize(width, height) {
+  Object.defineProperty(window, 'innerWidth', { value: width, configurable: true });
+  Object.defineProperty(window, 'innerHeight', { value: height, configurable: true });
+}
+
+// A real ball class in headless mode (no WebGL, textures or animation loop), destroyed after the test
+async function createHeadless(t, BallClass, options = {}) {
+  setWindowSize(800, 600);
+  const instance = new BallClass({ headless: true, seed: 'tests', reducedMotion: false, ...options });
+  t.after(() => instance.destroy());
+  await instance.readyPromise;
+  return instance;
+}
+
+// NeoballPhysics with none of its own balls, on the full 800×600 window
+async function createHeadlessPhysics(t, options = {}) {
+  const physics = await createHeadless(t, NeoballPhysics, { ballRadius: 40, ...options });
+  while (physics.getBallCount() > 0) physics.removeBall();
+
+  // jsdom has no layout, so give the canvas the full window; nothing renders, so nothing updates the camera
+  physics.canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: window.innerWidth, height: window.innerHeight });
+  physics.camera.updateMatrixWorld();
+  return physics;
+}
+
+// NeoballBallsOverlay with none of its own balls
+function createHeadlessOverlay(t, options = {}) {
+  return createHeadless(t, NeoballBallsOverlay, { ballCount: 0, ...options });
+}
+
+// Client coordinates of a point on the overlay's z = 0 plane
+function toClient(overlay, x, y) {
+  const scale = window.innerWidth / overlay.viewport.width;
+  return { clientX: window.innerWidth / 2 + x * scale, clientY: window.innerHeight / 2 - y * scale };
+}
+
+function addSpriteBall(overlay, x, y) {
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial());
+  sprite.scale.set(2, 2, 1);
+  sprite.position.set(x, y, overlay.config.zOffset);
+  sprite.updateMatrixWorld();
+  return overlay.sim.addBall({ x, y, z: overlay.config.zOffset, sprite });
+}
+
+function addBallWithMesh(physics, x, y) {
+  const ball = physics.sim.addBall({ x, y });
+  physics.createBallMesh(ball);
+  ball.mesh.updateMatrixWorld();
+  return ball;
+}
+
+function pointer(type, pointerId, clientX, clientY) {
+  return { type, pointerId, clientX, clientY, preventDefault() {} };
+}
+
+test('addBall and removeBall keep the count in sync', () => {
+  const sim = createSim();
+  assert.equal(sim.getBallCount(), 0);
+
+  for (let i = 0; i < 5; i++) sim.addBall();
+  assert.equal(sim.getBallCount(), 5);
+  assert.equal(sim.world.bodies.length, 5 + sim.walls.length);
+
+  sim.removeBall();
+  sim.removeBall();
+  assert.equal(sim.getBallCount(), 3);
+  assert.equal(sim.world.bodies.length, 3 + sim.walls.length);
+  assert.deepEqual(sim.balls.map(b => b.index), [0, 1, 2]);
+
+  for (let i = 0; i < 5; i++) sim.removeBall();
+  assert.equal(sim.getBallCount(), 0);
+  assert.equal(sim.removeBall(), null);
+});
+
+test('balls settle inside the walls', () => {
+  const sim = createSim();
+  for (let i = 0; i < 10; i++) sim.addBall();
+  stepFor(sim, 600);
+  assertInside(sim);
+});
+
+test('balls stay inside the walls after the viewport shrinks', () => {
+  const sim = createSim();
+  for (let i = 0; i < 8; i++) sim.addBall({ x: (i - 4) * 90, y: 200 });
+  stepFor(sim, 120);
+
+  sim.resize(420, 700);
+  stepFor(sim, 600);
+  assertInside(sim);
+});
+
+test('balls stay inside the walls after the viewport grows', () => {
+  const sim = createSim({ width: 400, height: 300 });
+  for (let i = 0; i < 4; i++) sim.addBall({ x: (i - 2) * 90, y: 0 });
+
+  sim.resize(1600, 1000);
+  sim.balls.forEach(ball => sim.throwBall(ball, 50, 50));
+  stepFor(sim, 600);
+  assertInside(sim);
+});
+
+test('thrown balls stay on the z = 0 plane without depth walls', () => {
+  const sim = createSim({ width: 400, height: 300 });
+  for (let i = 0; i < 4; i++) sim.addBall({ x: (i - 2) * 90, y: 0 });
+  sim.balls.forEach(ball => sim.throwBall(ball, 50, 50));
+
+  for (let i = 0; i < 600; i++) {
+    sim.step(1 / 60);
+    for (const ball of sim.balls) assert.equal(ball.body.position.z, 0);
+  }
+});
+
+test('throwBall clamps pointer velocity before applying throwForce', () => {
+  const sim = createSim({ throwForce: 30, maxThrowVelocity: 50 });
+  const ball = sim.addBall({ x: 0, y: 0 });
+
+  const v = sim.throwBall(ball, 500, -900);
+  assert.deepEqual(v, { x: 50 * 30, y: -50 * 30 });
+
+  const slow = sim.throwBall(ball, 2, -3);
+  assert.deepEqual(slow, { x: 60, y: -90 });
+});
+
+test('onPointerUp throws the held ball with clamped velocity', async (t) => {
+  const physics = await createHeadlessPhysics(t, { throwForce: 20 });
+  const ball = addBallWithMesh(physics, 0, 0);
+
+  physics.onPointerDown(pointer('pointerdown', 1, 400, 300));
+  assert.deepEqual(physics.getHeldBalls(), [ball]);
+
+  physics.drags.get(1).velocity.set(-400, 7);
+  physics.onPointerUp(pointer('pointerup', 1, 400, 300));
+
+  assert.equal(ball.body.velocity.x, -50 * 20);
+  assert.equal(ball.body.velocity.y, 7 * 20);
+  assert.equal(physics.drags.size, 0);
+});
+
+test('each pointer drags and throws its own ball', async (t) => {
+  const physics = await createHeadlessPhysics(t);
+  const left = addBallWithMesh(physics, -200, 0);
+  const right = addBallWithMesh(physics, 200, 0);
+
+  physics.onPointerDown(pointer('pointerdown', 11, 200, 300));
+  physics.onPointerDown(pointer('pointerdown', 12, 600, 300));
+  // A second finger on an already held ball doesn't steal it
+  physics.onPointerDown(pointer('pointerdown', 13, 600, 300));
+  assert.deepEqual(physics.getHeldBalls(), [left, right]);
+
+  physics.onPointerMove(pointer('pointermove', 11, 240, 300)); // right
+  physics.onPointerMove(pointer('pointermove', 12, 600, 270)); // up
+
+  physics.onPointerUp(pointer('pointerup', 11, 240, 300));
+  assert.ok(left.body.velocity.x > 0);
+  assert.equal(left.body.velocity.y, 0);
+  assert.deepEqual(physics.getHeldBalls(), [right]);
+
+  physics.onPointerUp(pointer('pointerup', 12, 600, 270));
+  assert.equal(right.body.velocity.x, 0);
+  assert.ok(right.body.velocity.y > 0);
+});
+
+test('a cancelled pointer releases its ball without throwing', async (t) => {
+  const physics = await createHeadlessPhysics(t);
+  const ball = addBallWithMesh(physics, 0, 0);
+
+  physics.onPointerDown(pointer('pointerdown', 5, 400, 300));
+  physics.drags.get(5).velocity.set(30, 30);
+  physics.onPointerUp(pointer('pointercancel', 5, 400, 300));
+
+  assert.equal(physics.drags.size, 0);
+  assert.equal(ball.body.velocity.length(), 0);
+});
+
+test('updateBoundaries resizes the walls to the window', async (t) => {
+  const physics = await createHeadlessPhysics(t);
+  for (let i = 0; i < 6; i++) physics.sim.addBall({ x: (i - 3) * 100, y: 250 });
+
+  setWindowSize(360, 640);
+  physics.updateBoundaries();
+
+  assert.equal(physics.sim.config.width, 360);
+  assert.equal(physics.sim.config.height, 640);
+  stepFor(physics.sim, 600);
+  assertInside(physics.sim);
+});
+
+test('a destroyed NeoballPhysics no longer hears pointer, resize or visibility events', async (t) => {
+  // Mocked before the instance binds its handlers to them
+  const handlers = ['onPointerDown', 'onPointerMove', 'onResize', 'onVisibilityChange']
+    .map(name => t.mock.method(NeoballPhysics.prototype, name));
+  const physics = await createHeadlessPhysics(t);
+  const dispatch = () => {
+    physics.canvas.dispatchEvent(new window.Event('pointerdown'));
+    window.dispatchEvent(new window.Event('pointermove'));
+    window.dispatchEvent(new window.Event('resize'));
+    document.dispatchEvent(new window.Event('visibilitychange'));
+  };
+
+  dispatch();
+  assert.deepEqual(handlers.map(handler => handler.mock.callCount()), [1, 1, 1, 1]);
+
+  physics.destroy();
+  dispatch();
+  assert.deepEqual(handlers.map(handler => handler.mock.callCount()), [1, 1, 1, 1]);
+});
+
+test('a destroyed overlay no longer hears pointer or resize events and leaves the debug registry', async (t) => {
+  const setPointer = t.mock.method(NeoballBallsOverlay.prototype, 'setPointer');
+  const setViewport = t.mock.method(NeoballBallsOverlay.prototype, 'setViewport');
+  const overlay = await createHeadlessOverlay(t);
+  assert.ok(window.neoballBalls.includes(overlay));
+
+  const dispatch = () => {
+    window.dispatchEvent(new window.Event('pointermove'));
+    window.dispatchEvent(new window.Event('resize'));
+  };
+  dispatch();
+  const calls = [setPointer.mock.callCount(), setViewport.mock.callCount()];
+
+  overlay.destroy();
+  dispatch();
+  assert.deepEqual([setPointer.mock.callCount(), setViewport.mock.callCount()], calls);
+  assert.equal(window.neoballBalls.includes(overlay), false);
+});
+
+// Records requestAnimationFrame/cancelAnimationFrame calls without ever running a frame.
+// Removed after the test, so destroy whatever used them before it ends
+function fakeAnimationFrames(t) {
+  const frames = { requested: 0, cancelled: [] };
+  globalThis.requestAnimationFrame = () => ++frames.requested;
+  globalThis.cancelAnimationFrame = id => frames.cancelled.push(id);
+  t.after(() => {
+    delete globalThis.requestAnimationFrame;
+    delete globalThis.cancelAnimationFrame;
+  });
+  return frames;
+}
+
+test('NeoballPhysics pause() cancels the pending frame and resume() schedules one again', async (t) => {
+  const physics = await createHeadlessPhysics(t);
+  const frames = fakeAnimationFrames(t);
+  // Let the loop run, drawing into a stub renderer
+  physics.config.headless = false;
+  physics.renderer = { render() {}, dispose() {}, forceContextLoss() {} };
+  physics.animate();
+  assert.equal(frames.requested, 1);
+
+  physics.pause();
+  physics.pause();
+  assert.deepEqual(frames.cancelled, [1]);
+  assert.equal(physics.rafId, null);
+
+  physics.resume();
+  physics.resume();
+  assert.equal(frames.requested, 2);
+  assert.equal(physics.rafId, 2);
+
+  physics.destroy();
+  assert.deepEqual(frames.cancelled, [1, 2]);
+});
+
+test('overlay pause() stops the shared loop once no layer is animating, resume() restarts it once', async (t) => {
+  const frames = fakeAnimationFrames(t);
+  // A drawing manager whose renderer is never created
+  const layerManager = new NeoballLayerManager();
+  t.mock.method(layerManager, 'getRenderer', () => null);
+  t.mock.method(layerManager, 'renderLayer', () => {});
+  const back = await createHeadlessOverlay(t, { layerManager });
+  const front = await createHeadlessOverlay(t, { layerManager });
+  assert.equal(frames.requested, 1);
+
+  back.pause();
+  assert.deepEqual(frames.cancelled, []);
+  front.pause();
+  assert.deepEqual(frames.cancelled, [1]);
+  assert.equal(layerManager.rafId, null);
+
+  front.resume();
+  back.resume();
+  assert.equal(frames.requested, 2);
+  assert.equal(layerManager.rafId, 2);
+
+  back.destroy();
+  front.destroy();
+  assert.deepEqual(frames.cancelled, [1, 2]);
+});
+
+test('the same seed reproduces the same motion', () => {
+  const run = () => {
+    const sim = createSim({ seed: 42 });
+    for (let i = 0; i < 6; i++) sim.addBall();
+    sim.applyImpulseToAll({ x: 20, y: 300, z: 0 });
+    stepFor(sim, 240);
+    return sim.getState();
+  };
+
+  assert.deepEqual(run(), run());
+});
+
+test('NeoballPhysics starts and moves its balls the same way for the same seed', async (t) => {
+  const run = async (seed) => {
+    const physics = await createHeadless(t, NeoballPhysics, { seed, ballCount: 6 });
+    const start = physics.getBallState();
+    for (let i = 0; i < 60; i++) physics.step(1 / 60);
+    return { start, moved: physics.getBallState() };
+  };
+
+  const first = await run('launch');
+  assert.equal(first.start.length, 6);
+  assert.deepEqual(await run('launch'), first);
+  assert.notDeepEqual((await run('other')).start, first.start);
+});
+
+test('overlays shuffle textures and place balls the same way for the same seed', async (t) => {
+  const run = async (seed) => {
+    const overlay = await createHeadless(t, NeoballBallsOverlay, { seed, ballCount: 12 });
+    const layout = () => overlay.balls.map(b => [b.textureIndex, b.body.position.x, b.body.position.y]);
+    const start = layout();
+    for (let i = 0; i < 60; i++) overlay.step(1 / 60);
+    return { start, moved: layout() };
+  };
+
+  const first = await run('launch:back');
+  assert.equal(first.start.length, 12);
+  assert.deepEqual(await run('launch:back'), first);
+
+  const other = await run('launch:front');
+  assert.notDeepEqual(other.start.map(([textureIndex]) => textureIndex), first.start.map(([textureIndex]) => textureIndex));
+  assert.notDeepEqual(other.start, first.start);
+});
+
+test('the quality governor steps down on sustained low FPS and back up with headroom', () => {
+  const governor = new QualityGovernor({ targetFps: 50, downAfter: 2, upFps: 58, upAfter: 3 });
+  const changes = [];
+  governor.on('tierchange', change => changes.push(change.direction));
+
+  governor.sample(40);
+  assert.equal(governor.getTier().name, 'high');
+  governor.sample(40);
+  assert.equal(governor.getTier().name, 'medium');
+  governor.sample(40);
+  governor.sample(40);
+  assert.equal(governor.getTier().name, 'low');
+
+  // A single dip doesn't count, and the 50-58 band holds the tier
+  governor.sample(60);
+  governor.sample(55);
+  governor.sample(60);
+  governor.sample(60);
+  assert.equal(governor.getTier().name, 'low');
+  governor.sample(60);
+  assert.equal(governor.getTier().name, 'medium');
+
+  assert.deepEqual(changes, ['down', 'down', 'up']);
+});
+
+test('culled balls come back with their state intact', async (t) => {
+  const physics = await createHeadlessPhysics(t);
+  for (let i = 0; i < 8; i++) addBallWithMesh(physics, (i - 4) * 90, 0);
+  const last = physics.balls[7];
+
+  physics.setActiveBallCount(4);
+  assert.equal(physics.sim.getBallCount(), 4);
+  assert.equal(physics.sim.world.bodies.length, 4 + physics.sim.walls.length);
+  assert.equal(last.mesh.parent, null);
+
+  physics.setActiveBallCount(8);
+  assert.equal(physics.sim.getBallCount(), 8);
+  assert.equal(physics.balls[7], last);
+  assert.equal(last.index, 7);
+  assert.equal(last.mesh.parent, physics.scene);
+});
+
+test('instanced balls can be added and removed before the texture loads', async (t) => {
+  setWindowSize(800, 600);
+  const physics = new NeoballPhysics({ headless: true, instanced: true, seed: 'tests', reducedMotion: false, ballCount: 4 });
+  t.after(() => physics.destroy());
+
+  assert.equal(physics.addBall(), 1);
+  assert.equal(physics.addBall(), 2);
+  assert.equal(physics.removeBall(), 1);
+
+  await physics.readyPromise;
+  assert.equal(physics.getBallCount(), 5);
+  assert.equal(physics.instances.count, 5);
+  assert.deepEqual(physics.balls.map(ball => ball.instanceId), [0, 1, 2, 3, 4]);
+});
+
+test('balls come to rest on top of a collider', () => {
+  const sim = createSim();
+  // A 200×60 "button" centered 100px below the middle
+  sim.addCollider({ x: 0, y: -100, width: 200, height: 60 });
+  const ball = sim.addBall({ x: 0, y: 150 });
+  stepFor(sim, 600);
+
+  const { position } = sim.getBallState(ball);
+  assert.ok(Math.abs(position.y - (-100 + 30 + 40)) < 5, `ball rests at y=${position.y}`);
+});
+
+test('DOM colliders follow their element and turn scroll into momentum', () => {
+  setWindowSize(800, 600);
+  const sim = createSim();
+  const button = window.document.createElement('button');
+  let top = 400;
+  button.getBoundingClientRect = () => ({ left: 300, top, width: 200, height: 60 });
+  window.document.body.appendChild(button);
+
+  const colliders = new DomColliders(sim, { targets: [button] });
+  colliders.update();
+  const [collider] = colliders.getColliders();
+  assert.deepEqual(collider.rect, { x: 0, y: -130, width: 200, height: 60 });
+
+  // Scroll 50px down: the button moves up the screen and the balls get pushed up with it
+  const ball = sim.addBall({ x: -300, y: 0 });
+  Object.defineProperty(window, 'scrollY', { value: 50, configurable: true });
+  top = 350;
+  window.dispatchEvent(new window.Event('scroll'));
+  colliders.update();
+
+  assert.equal(collider.rect.y, -80);
+  assert.equal(ball.body.velocity.y, 50 * sim.config.scrollMomentum);
+
+  colliders.destroy();
+  assert.equal(sim.colliders.length, 0);
+  button.remove();
+  Object.defineProperty(window, 'scrollY', { value: 0, configurable: true });
+});
+
+test('overlay colliders line up with the balls\' depth and follow element resizes', async (t) => {
+  let observer = null;
+  globalThis.ResizeObserver = class {
+    constructor(callback) { this.callback = callback; observer = this; }
+    observe(element) { this.element = element; }
+    disconnect() { this.element = null; }
+  };
+  t.after(() => { delete globalThis.ResizeObserver; });
+
+  const button = window.document.createElement('button');
+  let width = 200;
+  button.getBoundingClientRect = () => ({ left: 300, top: 400, width, height: 60 });
+  window.document.body.appendChild(button);
+  t.after(() => button.remove());
+
+  const overlay = await createHeadlessOverlay(t, { zOffset: 0.8, colliders: [button] });
+  overlay.update(1 / 60);
+  const [collider] = overlay.domColliders.getColliders();
+  const scale = overlay.getPixelsPerUnit();
+  assert.ok(Math.abs(collider.rect.width - 200 / scale) < 1e-9);
+  assert.ok(Math.abs(collider.rect.y - -130 / scale) < 1e-9);
+  assert.equal(observer.element, button);
+
+  width = 260;
+  observer.callback([]);
+  assert.equal(overlay.domColliders.update(false), true);
+  assert.ok(Math.abs(collider.rect.width - 260 / scale) < 1e-9);
+
+  overlay.destroy();
+  assert.equal(observer.element, null);
+});
+
+test('the simulation reports each ball-ball collision once, and wall hits', () => {
+  const sim = createSim({ gravity: 0 });
+  const left = sim.addBall({ x: -200, y: 0, velocity: { x: 300 }, textureIndex: 2 });
+  const right = sim.addBall({ x: 200, y: 0, velocity: { x: -300 }, textureIndex: 5 });
+  const events = [];
+  for (const type of ['collide', 'wallhit']) sim.on(type, e => events.push(e));
+
+  stepFor(sim, 60);
+  const collisions = events.filter(e => e.type === 'collide');
+  assert.equal(collisions.length, 1);
+  assert.equal(collisions[0].index, left.index);
+  assert.equal(collisions[0].textureIndex, 2);
+  assert.equal(collisions[0].otherIndex, right.index);
+  assert.equal(collisions[0].otherTextureIndex, 5);
+  assert.ok(collisions[0].impactVelocity > 500, `impact ${collisions[0].impactVelocity}`);
+  assert.ok(Math.abs(collisions[0].position.x) < 1);
+
+  sim.setGravity(0, -500);
+  stepFor(sim, 600);
+  const floorHits = events.filter(e => e.type === 'wallhit' && e.surface === 'floor');
+  assert.ok(floorHits.length >= 2);
+  assert.ok(floorHits[0].impactVelocity > 0);
+});
+
+test('a ball that comes to rest emits sleep', () => {
+  const sim = createSim({ gravity: -500 });
+  sim.addBall({ x: 0, y: 0 });
+  const sleeps = [];
+  sim.on('sleep', e => sleeps.push(e));
+
+  stepFor(sim, 600);
+  assert.equal(sleeps.length, 1);
+  assert.equal(sleeps[0].index, 0);
+});
+
+test('grab and throw are emitted with the ball and release velocity', () => {
+  const sim = createSim();
+  const ball = sim.addBall({ x: 10, y: 20 });
+  const events = [];
+  sim.on('grab', e => events.push(e)).on('throw', e => events.push(e));
+
+  sim.grabBall(ball);
+  sim.throwBall(ball, 2, -1);
+
+  assert.deepEqual(events.map(e => e.type), ['grab', 'throw']);
+  assert.deepEqual(events[0].position, { x: 10, y: 20, z: 0 });
+  assert.deepEqual(events[1].velocity, { x: 60, y: -30 });
+  assert.equal(events[1].textureIndex, null);
+});
+
+test('the keyboard selects, aims and throws a ball and announces each step', async (t) => {
+  const physics = await createHeadlessPhysics(t);
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const [first, second] = [addBallWithMesh(physics, -100, 0), addBallWithMesh(physics, 100, 0)];
+  const key = (k, extra = {}) => physics.onKeyDown({ key: k, preventDefault() {}, ...extra });
+  const announced = () => {
+    t.mock.timers.tick(100);
+    return physics.liveRegion.textContent;
+  };
+
+  assert.equal(physics.canvas.tabIndex, 0);
+
+  key('Tab');
+  assert.equal(physics.getSelectedBall(), first);
+  key('ArrowRight');
+  assert.equal(physics.getSelectedBall(), second);
+  assert.equal(announced(), 'Ball 2 of 2 selected');
+
+  key('Enter');
+  assert.deepEqual(physics.getHeldBalls(), [second]);
+  key('ArrowRight');
+  key('ArrowRight');
+  key('ArrowRight');
+  key('ArrowUp');
+  assert.equal(announced(), 'Aiming up-right, power 4 of 5');
+
+  key(' ');
+  assert.equal(physics.drags.size, 0);
+  assert.ok(second.body.velocity.x > 0 && second.body.velocity.y > 0);
+  assert.equal(Math.round(second.body.velocity.x), Math.round(second.body.velocity.y));
+  assert.equal(announced(), 'Threw ball 2 up-right');
+
+  // Tab past the last ball hands focus back to the page
+  let prevented = false;
+  key('Tab', { preventDefault() { prevented = true; } });
+  assert.equal(prevented, false);
+  assert.equal(physics.getSelectedBall(), null);
+});
+
+test('repeated announcements are cleared and rewritten, and each playground has its own hint', async (t) => {
+  const physics = await createHeadlessPhysics(t);
+  const other = await createHeadlessPhysics(t);
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+
+  physics.announce('Dropped ball 1');
+  t.mock.timers.tick(100);
+  physics.announce('Dropped ball 1');
+  assert.equal(physics.liveRegion.textContent, '');
+  t.mock.timers.tick(100);
+  assert.equal(physics.liveRegion.textContent, 'Dropped ball 1');
+
+  assert.notEqual(physics.hintEl.id, other.hintEl.id);
+  assert.equal(physics.canvas.getAttribute('aria-describedby'), physics.hintEl.id);
+});
+
+test('settle jumps straight to a resting layout without emitting events', () => {
+  const sim = createSim({ gravity: -500 });
+  for (let i = 0; i < 6; i++) sim.addBall({ x: (i - 3) * 90, y: 200 });
+  const events = [];
+  for (const type of ['collide', 'wallhit', 'sleep']) sim.on(type, e => events.push(e));
+
+  const steps = sim.settle();
+  assert.ok(steps < 600, `settled in ${steps} steps`);
+  assert.deepEqual(events, []);
+  assertInside(sim);
+  for (const ball of sim.getState()) {
+    assert.deepEqual(ball.velocity, { x: 0, y: 0, z: 0 });
+    assert.ok(ball.position.y < -200, `ball ${ball.index} rests at y=${ball.position.y}`);
+  }
+});
+
+test('a settle spread over frames lands on the same layout', () => {
+  const layout = (settle) => {
+    const sim = createSim({ gravity: -500 });
+    for (let i = 0; i < 6; i++) sim.addBall({ x: (i - 3) * 90, y: 200 });
+    settle(sim);
+    return sim.getState();
+  };
+  let frames = 0;
+
+  const spread = layout((sim) => {
+    sim.beginSettle();
+    while (!sim.continueSettle(20)) frames++;
+    assert.equal(sim.isSettlePending(), false);
+  });
+  assert.ok(frames > 3, `settled over ${frames} frames`);
+  assert.deepEqual(spread, layout(sim => sim.settle()));
+});
+
+test('reduced motion turns grabs and keyboard throws into settled nudges', async (t) => {
+  const physics = await createHeadlessPhysics(t);
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  physics.sim.setGravity(0, -500);
+  const ball = addBallWithMesh(physics, 0, -260);
+  physics.setReducedMotion(true);
+
+  // Touching the ball's left side pushes it right, and it is at rest again immediately
+  physics.onPointerDown(pointer('pointerdown', 1, 370, 560));
+  assert.equal(physics.drags.size, 0);
+  assert.ok(ball.body.position.x > 0);
+  assert.equal(ball.body.velocity.length(), 0);
+
+  physics.onKeyDown({ key: 'Enter', preventDefault() {} });
+  assert.equal(physics.keyboard.aiming, false);
+  t.mock.timers.tick(100);
+  assert.equal(physics.liveRegion.textContent, 'Nudged ball 1');
+});
+
+test('reduced-motion overlays re-settle once scrolling stops, a few steps per frame', async (t) => {
+  const button = window.document.createElement('button');
+  let top = 400;
+  button.getBoundingClientRect = () => ({ left: 300, top, width: 200, height: 60 });
+  window.document.body.appendChild(button);
+  t.after(() => button.remove());
+
+  const overlay = await createHeadlessOverlay(t, { reducedMotion: true, colliders: [button] });
+  addSpriteBall(overlay, 0, 0);
+  overlay.update(1 / 60);
+  const [collider] = overlay.domColliders.getColliders();
+  const before = collider.rect.y;
+  while (overlay.sim.isSettlePending()) overlay.update(1 / 60);
+
+  // Mid-scroll: nothing moves or steps
+  const step = t.mock.method(overlay.world, 'step');
+  top = 300;
+  window.dispatchEvent(new window.Event('scroll'));
+  overlay.update(1 / 60);
+  assert.equal(collider.rect.y, before);
+  assert.equal(step.mock.callCount(), 0);
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  overlay.update(1 / 60);
+  assert.ok(collider.rect.y > before);
+  assert.ok(step.mock.callCount() > 0 && step.mock.callCount() <= 20);
+});
+
+// Runs `frame` until the loop stops asking for frames; returns how many ran
+function runUntilAsleep(frame, isRunning) {
+  let frames = 0;
+  for (; isRunning() && frames < 1000; frames++) frame();
+  assert.equal(isRunning(), false, 'the loop never went to sleep');
+  return frames;
+}
+
+test('reduced-motion overlays stop drawing once settled and wake for resizes and collider changes', async (t) => {
+  const button = window.document.createElement('button');
+  let top = 400;
+  button.getBoundingClientRect = () => ({ left: 300, top, width: 200, height: 60 });
+  window.document.body.appendChild(button);
+  t.after(() => button.remove());
+
+  fakeAnimationFrames(t);
+  const layerManager = new NeoballLayerManager();
+  t.mock.method(layerManager, 'getRenderer', () => null);
+  const renders = t.mock.method(layerManager, 'renderLayer', () => {});
+  const overlay = await createHeadlessOverlay(t, { reducedMotion: true, colliders: [button], layerManager });
+  addSpriteBall(overlay, 0, 0);
+  const sleep = () => runUntilAsleep(() => layerManager.animate(), () => layerManager.rafId !== null);
+
+  sleep();
+  assert.equal(overlay.needsFrame(), false);
+  const settled = renders.mock.callCount();
+  assert.ok(settled > 0);
+
+  // Redrawn right away; the colliders wait for the resizing to stop
+  window.dispatchEvent(new window.Event('resize'));
+  layerManager.animate();
+  assert.ok(renders.mock.callCount() > settled);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  sleep();
+
+  // Scrolling wakes the loop, but nothing is drawn until the page has stopped
+  const resized = renders.mock.callCount();
+  top = 300;
+  window.dispatchEvent(new window.Event('scroll'));
+  assert.notEqual(layerManager.rafId, null);
+  layerManager.animate();
+  assert.equal(renders.mock.callCount(), resized);
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  sleep();
+  assert.ok(renders.mock.callCount() > resized);
+
+  overlay.destroy();
+});
+
+test('reduced-motion NeoballPhysics stops its loop once settled and wakes for a resize', async (t) => {
+  const physics = await createHeadlessPhysics(t, { reducedMotion: true });
+  addBallWithMesh(physics, 0, 200);
+  fakeAnimationFrames(t);
+  // Let the loop run, drawing into a stub renderer
+  physics.config.headless = false;
+  let renders = 0;
+  physics.renderer = { render: () => renders++, setSize() {}, dispose() {}, forceContextLoss() {} };
+  const sleep = () => runUntilAsleep(() => physics.animate(), () => physics.rafId !== null);
+
+  physics.animate();
+  sleep();
+  const settled = renders;
+  assert.ok(settled > 0);
+
+  // Redrawn on the next frame; the colliders wait for the resizing to stop
+  window.dispatchEvent(new window.Event('resize'));
+  physics.animate();
+  assert.ok(renders > settled);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  sleep();
+
+  physics.destroy();
+});
+
+test('reduced-motion overlays only nudge a ball that was pressed', async (t) => {
+  const overlay = await createHeadlessOverlay(t, { reducedMotion: true });
+  const ball = addSpriteBall(overlay, 0, 0);
+  const press = ({ clientX, clientY }) => window.dispatchEvent(Object.assign(
+    new window.MouseEvent('pointerdown', { clientX, clientY }),
+    { pointerId: 1, pointerType: 'mouse' }
+  ));
+
+  // Just outside the ball: the page's click, not the ball's
+  press(toClient(overlay, -1.3, 0));
+  assert.deepEqual(ball.body.position.toArray(), [0, 0, 0]);
+
+  press(toClient(overlay, -0.5, 0));
+  assert.ok(ball.body.position.x > 0);
+  assert.equal(ball.body.velocity.length(), 0);
+});
+
+test('overlay pointers sweep into balls and pass on their speed', async (t) => {
+  const push = async (frames) => {
+    const overlay = await createHeadlessOverlay(t);
+    const ball = overlay.sim.addBall({ x: 0, y: 0 });
+    let topSpeed = 0;
+    // Move from x = -6 to x = +6 over `frames` frames
+    for (let i = 0; i <= 20; i++) {
+      const { clientX, clientY } = toClient(overlay, -6 + 12 * Math.min(1, i / frames), 0);
+      overlay.setPointer(1, clientX, clientY);
+      if (i === 0) continue;
+      overlay.step(1 / 60);
+      topSpeed = Math.max(topSpeed, ball.body.velocity.x);
+    }
+    return topSpeed;
+  };
+
+  // Even a one-frame flick across the ball can't tunnel through it
+  const flicked = await push(1);
+  const dragged = await push(20);
+  assert.ok(dragged > 20, `dragged ball reached ${dragged}`);
+  assert.ok(flicked > dragged * 2, `flick ${flicked} vs drag ${dragged}`);
+});
+
+test('overlay pointer bodies stay on the cursor at high refresh rates', async (t) => {
+  const overlay = await createHeadlessOverlay(t, { seed: null, oscGravity: 0 });
+  const speed = 12;
+  const h = overlay.sim.config.timeStep;
+  let maxLag = 0;
+  let landed = 0;
+
+  // Drag steadily across the view at 144 Hz, where frames and fixed steps rarely line up
+  for (let i = 0; i <= 144; i++) {
+    const x = -6 + speed * i / 144;
+    const { clientX, clientY } = toClient(overlay, x, 0);
+    overlay.setPointer(1, clientX, clientY);
+    const before = overlay._t;
+    overlay.step(1 / 144);
+
+    const { position } = overlay.pointers.get(1).body;
+    const lag = Math.hypot(x - position.x, position.y);
+    maxLag = Math.max(maxLag, lag);
+    // A frame that ran a substep leaves the body exactly on the cursor
+    if (overlay._t > before) {
+      assert.ok(lag < 1e-6, `frame ${i} left the pointer ${lag} behind after a substep`);
+      landed++;
+    }
+  }
+  // Between substeps the cursor can only get one fixed step of travel ahead
+  assert.ok(maxLag <= speed * h + 1e-6, `pointer lagged ${maxLag}`);
+  assert.ok(landed >= 55 && landed <= 61, `${landed} substeps in one second`);
+});
+
+test('each touch gets its own pointer collider', async (t) => {
+  const overlay = await createHeadlessOverlay(t, { pointerShape: 'circle' });
+  const bodies = () => overlay.world.bodies.length;
+  const before = bodies();
+
+  overlay.setPointer('touch:0', 100, 100);
+  overlay.setPointer('touch:1', 700, 500);
+  overlay.setPointer('touch:0', 120, 100);
+  assert.equal(bodies(), before + 2);
+  assert.equal(overlay.pointers.get('touch:0').body.shapes[0].radius, 1.5);
+
+  overlay.removePointer('touch:0');
+  assert.equal(bodies(), before + 1);
+  assert.deepEqual([...overlay.pointers.keys()], ['touch:1']);
+});
+
+test('interactive overlays grab from the front layer and throw with pointer velocity', async (t) => {
+  const layerManager = new NeoballLayerManager({ headless: true });
+  const back = await createHeadlessOverlay(t, { interactive: true, zOffset: -0.8, layerManager });
+  const front = await createHeadlessOverlay(t, { interactive: true, zOffset: 0.8, layerManager });
+  const behind = addSpriteBall(back, 0, 0);
+  const onTop = addSpriteBall(front, 0, 0);
+  const alone = addSpriteBall(back, 5, 0);
+
+  // Both layers see the press; only the front one takes the ball
+  assert.equal(back.tryGrab(1, 400, 300), false);
+  assert.equal(front.tryGrab(1, 400, 300), true);
+  assert.deepEqual(front.getHeldBalls(), [onTop]);
+  assert.deepEqual(back.getHeldBalls(), []);
+  assert.equal(front.suppressClick, true);
+
+  // A miss (square sprite corner, or empty page) is left to the page
+  const corner = 400 + 0.9 * (800 / front.viewport.width);
+  assert.equal(front.tryGrab(2, corner, 300 - 0.9 * (800 / front.viewport.width)), false);
+  assert.equal(back.tryGrab(2, 50, 50), false);
+
+  // With nothing in front, the back layer's ball is grabbable
+  const aloneX = 400 + 5 * (800 / back.viewport.width);
+  assert.equal(front.tryGrab(3, aloneX, 300), false);
+  assert.equal(back.tryGrab(3, aloneX, 300), true);
+  assert.deepEqual(back.getHeldBalls(), [alone]);
+
+  front.drags.get(1).velocity = { x: 25, y: -90 };
+  front.endDrag(1);
+  assert.equal(onTop.body.velocity.x, 25);
+  assert.equal(onTop.body.velocity.y, -40);
+  assert.equal(behind.body.velocity.length(), 0);
+
+  back.endDrag(3, false);
+  assert.equal(alone.body.velocity.length(), 0);
+});
+
+test('overlay layers only cover the screen rect around their balls', async (t) => {
+  const overlay = await createHeadlessOverlay(t, { zOffset: 0.8 });
+  assert.equal(overlay.getScreenBounds(), null);
+
+  const scale = overlay.getPixelsPerUnit();
+  // Nearer the camera than z = 0, so bigger on screen
+  assert.ok(scale > window.innerWidth / overlay.viewport.width);
+
+  overlay.sim.addBall({ x: 0, y: 0 });
+  const r = scale + 2;
+  assert.deepEqual(overlay.getScreenBounds(), {
+    x: Math.floor(400 - r), y: Math.floor(300 - r),
+    width: Math.ceil(400 + r) - Math.floor(400 - r), height: Math.ceil(300 + r) - Math.floor(300 - r)
+  });
+
+  // Clipped to the window
+  overlay.sim.addBall({ x: overlay.viewport.width, y: 0 });
+  const bounds = overlay.getScreenBounds();
+  assert.equal(bounds.x + bounds.width, 800);
+});
+
+test('shared textures outlive the last ready layer while another is still loading', async (t) => {
+  const layerManager = new NeoballLayerManager({ headless: true });
+  const dispose = t.mock.method(layerManager, 'dispose');
+  const ready = await createHeadlessOverlay(t, { layerManager });
+  const loading = new NeoballBallsOverlay({ headless: true, ballCount: 0, layerManager });
+
+  ready.destroy();
+  assert.equal(dispose.mock.callCount(), 0);
+
+  loading.destroy();
+  assert.equal(dispose.mock.callCount(), 1);
+});
+
+test('a press that grabbed a ball swallows the click that follows', async (t) => {
+  const overlay = await createHeadlessOverlay(t, { interactive: true });
+  addSpriteBall(overlay, 0, 0);
+
+  const link = window.document.createElement('a');
+  window.document.body.appendChild(link);
+  const click = () => {
+    const event = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+    link.dispatchEvent(event);
+    return event.defaultPrevented;
+  };
+  const press = (clientX, clientY) => window.dispatchEvent(Object.assign(
+    new window.MouseEvent('pointerdown', { clientX, clientY, cancelable: true }),
+    { pointerId: 1, pointerType: 'mouse' }
+  ));
+
+  press(400, 300);
+  assert.equal(overlay.getHeldBalls().length, 1);
+  overlay.endDrag(1);
+  assert.equal(click(), true);
+
+  // Missing every ball: the link gets its click
+  press(50, 50);
+  assert.equal(overlay.getHeldBalls().length, 0);
+  assert.equal(click(), false);
+
+  link.remove();
+});
+
+test('sphere-style overlay balls roll along their direction of travel', async (t) => {
+  const overlay = await createHeadlessOverlay(t, { ballStyle: 'sphere', rollFollow: 6 });
+  const ball = overlay.sim.addBall({ x: 0, y: 0, velocity: { x: 3, y: -4 } });
+
+  for (let i = 0; i < 60; i++) overlay.alignSpin(1 / 60);
+
+  // The face toward the camera moves with the ball
+  const { angularVelocity: w, velocity: v } = ball.body;
+  const front = new THREE.Vector3(w.x, w.y, w.z).cross(new THREE.Vector3(0, 0, ball.radius));
+  assert.ok(front.distanceTo(new THREE.Vector3(v.x, v.y, v.z)) < 0.05);
+
+  // The flat photo maps onto the front hemisphere: center facing the camera, rim at the silhouette
+  const geometry = overlay.getBallGeometry();
+  const { normal, uv } = geometry.attributes;
+  for (let i = 0; i < uv.count; i++) {
+    const r = Math.hypot(uv.getX(i) - 0.5, uv.getY(i) - 0.5);
+    assert.ok(Math.abs(r - Math.hypot(normal.getX(i), normal.getY(i)) * 0.43) < 1e-6);
+  }
+  geometry.dispose();
+});
+
+test('texture sets reach any ball count by count and weight', () => {
+  const tally = sequence => sequence.reduce((counts, i) => { counts[i] = (counts[i] ?? 0) + 1; return counts; }, {});
+  const random = createRandom('textures');
+
+  // Plain URLs: two of each by default, repeated evenly past that
+  const stock = resolveTextureSet(['a.webp', 'b.webp', 'c.webp']);
+  assert.equal(getDefaultBallCount(stock), 6);
+  assert.deepEqual(Object.values(tally(buildTextureSequence(stock, 20, random))).sort(), [6, 7, 7]);
+
+  // A fixed-count hero, the rest split 3:1 by weight
+  const launch = resolveTextureSet([
+    { url: 'hero.webp', count: 4, radius: 1.4, mass: 80 },
+    { path: 'red.webp', weight: 3 },
+    { path: 'blue.webp', weight: 1 }
+  ]);
+  assert.equal(launch[0].radius, 1.4);
+  assert.deepEqual(tally(buildTextureSequence(launch, 12, random)), { 0: 4, 1: 6, 2: 2 });
+
+  // Counts only: repeated (or trimmed) in proportion
+  const counted = resolveTextureSet([{ path: 'a', count: 2 }, { path: 'b', count: 1 }]);
+  assert.deepEqual(tally(buildTextureSequence(counted, 9, random)), { 0: 6, 1: 3 });
+  assert.deepEqual(tally(buildTextureSequence(counted, 2, random)), { 0: 1, 1: 1 });
+});
@@ -0,0 +1,293 @@
+/**
+ * Cart store tests
+ * localStorage persistence, schema versioning and cross-tab sync, plus the
+ * catalog, pricing and discount codes the drawer renders from. Runs against jsdom's storage (other tabs are
+ * simulated by writing storage and firing `storage`).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const dom = new JSDOM('<!DOCTYPE html><body></body>', { url: 'http://localhost:8080/' });
+globalThis.window = dom.window;
+globalThis.localStorage = dom.window.localStorage;
+
+const { CartStore, CART_STORAGE_KEY, CART_SCHEMA_VERSION } = await import('../js/cart-store.js');
+const { getProduct, createLineItem, getUpsells, getVariant, getVariantOptions, getDefaultSelection, getStockStatus } = await import('../js/catalog.js');
+const { PricingEngine, formatPrice, formatShippingMessage } = await import('../js/pricing.js');
+const { DiscountRules } = await import('../js/discounts.js');
+
+const BALL = { id: 'neoball-pro-7-original', name: 'Neoball Pro Basketball', price: 78, originalPrice: 88 };
+
+function createCart() {
+  localStorage.clear();
+  return new CartStore();
+}
+
+test('lines survive a reload and merge by id', () => {
+  const cart = createCart();
+  cart.add(BALL);
+  cart.add(BALL, 2);
+  cart.destroy();
+
+  const reloaded = new CartStore();
+  assert.equal(reloaded.getCount(), 3);
+  assert.deepEqual(reloaded.getLines(), [{ ...BALL, quantity: 3 }]);
+  assert.equal(JSON.parse(localStorage.getItem(CART_STORAGE_KEY)).version, CART_SCHEMA_VERSION);
+  reloaded.destroy();
+});
+
+test('saves from another schema version or with bad lines are not misread', () => {
+  localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({ version: CART_SCHEMA_VERSION + 1, lines: [{ ...BALL, quantity: 1 }] }));
+  const future = new CartStore();
+  assert.equal(future.isEmpty(), true);
+  future.destroy();
+
+  localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({
+    version: CART_SCHEMA_VERSION,
+    lines: [{ ...BALL, quantity: '2' }, { id: 'pump', price: 'free', quantity: 1 }, { ...BALL, id: 'grip', quantity: 0 }]
+  }));
+  const mixed = new CartStore();
+  assert.deepEqual(mixed.getLines(), [{ ...BALL, quantity: 2 }]);
+  mixed.destroy();
+
+  localStorage.setItem(CART_STORAGE_KEY, '{not json');
+  const corrupt = new CartStore();
+  assert.equal(corrupt.isEmpty(), true);
+  corrupt.destroy();
+});
+
+test('a save from another tab updates this one and emits change', () => {
+  const cart = createCart();
+  const changes = [];
+  cart.on('change', event => changes.push(event));
+
+  // Another tab adds two balls
+  localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({ version: CART_SCHEMA_VERSION, lines: [{ ...BALL, quantity: 2 }] }));
+  window.dispatchEvent(new window.StorageEvent('storage', { key: CART_STORAGE_KEY }));
+  assert.equal(cart.getCount(), 2);
+  assert.equal(changes.at(-1).source, 'storage');
+
+  // Unrelated keys are ignored; a cleared storage (key null) empties the cart
+  window.dispatchEvent(new window.StorageEvent('storage', { key: 'neoball_sound' }));
+  assert.equal(changes.length, 1);
+  localStorage.clear();
+  window.dispatchEvent(new window.StorageEvent('storage', { key: null }));
+  assert.equal(cart.isEmpty(), true);
+
+  cart.destroy();
+});
+
+test('quantities are clamped to the line max and 0 removes the line', () => {
+  const cart = createCart();
+  cart.add(BALL);
+  cart.add({ id: 'pump', name: 'Ball Pump Pro', price: 24.99, maxQuantity: 2 });
+
+  cart.setQuantity(BALL.id, 25);
+  assert.equal(cart.getLine(BALL.id).quantity, 10);
+  cart.add(BALL);
+  assert.equal(cart.getLine(BALL.id).quantity, 10);
+
+  cart.add({ id: 'pump' }, 5);
+  assert.equal(cart.getLine('pump').quantity, 2);
+  assert.equal(cart.getMaxQuantity(cart.getLine('pump')), 2);
+
+  // Garbage is ignored rather than emptying the line
+  cart.setQuantity('pump', 'lots');
+  assert.equal(cart.getLine('pump').quantity, 2);
+
+  cart.setQuantity('pump', 0);
+  cart.remove(BALL.id);
+  assert.equal(cart.isEmpty(), true);
+  cart.destroy();
+
+  const reloaded = new CartStore();
+  assert.equal(reloaded.isEmpty(), true);
+  reloaded.destroy();
+});
+
+test('add() takes whole-number quantities and ignores anything below one', () => {
+  const cart = createCart();
+  const changes = [];
+  cart.on('change', event => changes.push(event));
+
+  cart.add(BALL, '2');
+  cart.add(BALL, 1.7);
+  assert.equal(cart.getLine(BALL.id).quantity, 3);
+
+  for (const quantity of [0, -2, 0.5, 'lots', NaN, null]) cart.add(BALL, quantity);
+  cart.add({ id: 'pump', name: 'Ball Pump Pro', price: 24.99 }, -1);
+  assert.deepEqual(cart.getLines(), [{ ...BALL, quantity: 3 }]);
+  assert.equal(changes.length, 2);
+  cart.destroy();
+});
+
+test('upsells become real lines and leave the upsell list', () => {
+  const cart = createCart();
+  cart.add(createLineItem(getProduct('neoball-pro-7-original')));
+  assert.deepEqual(getUpsells(cart.getLines()).map(p => p.id), ['ball-pump-pro', 'grip-enhancer-spray']);
+
+  cart.add(createLineItem(getProduct('ball-pump-pro')));
+  const pump = cart.getLine('ball-pump-pro');
+  assert.equal(pump.image, './images/ball-pump-pro.svg');
+  assert.equal(pump.originalPrice, 24.99);
+  assert.deepEqual(getUpsells(cart.getLines()).map(p => p.id), ['grip-enhancer-spray']);
+
+  assert.equal(formatPrice(new PricingEngine().quote(cart.getLines()).total), '$102.99');
+  cart.destroy();
+});
+
+test('pricing sums in cents and tracks the free-shipping threshold', () => {
+  const pricing = new PricingEngine({ freeShippingThreshold: 100 });
+  const ball = createLineItem(getProduct('neoball-pro-7-original'));
+  const spray = createLineItem(getProduct('grip-enhancer-spray'));
+
+  const one = pricing.quote([{ ...ball, quantity: 1 }, { ...spray, quantity: 3 }]);
+  assert.equal(one.subtotal, 122.97);
+  assert.equal(one.savings, 10);
+  assert.equal(one.shipping.free, true);
+  assert.equal(formatShippingMessage(one.shipping), 'You\'ve unlocked <strong>FREE</strong> shipping!');
+
+  const short = pricing.quote([{ ...spray, quantity: 1 }]);
+  assert.equal(short.shipping.remaining, 85.01);
+  assert.ok(formatShippingMessage(short.shipping).includes('$85.01'));
+
+  // A stale price saved with the line is replaced by the catalog's
+  assert.equal(pricing.quote([{ ...ball, price: 60, quantity: 1 }]).total, 78);
+
+  assert.deepEqual(pricing.getProductPrice('neoball-pro-7-original'), { price: 78, originalPrice: 88, savings: 10, monthly: 7.42 });
+  assert.equal(formatPrice(6.5), '$6.50');
+});
+
+test('subscribe & save discounts eligible lines and is saved with the cart', () => {
+  const cart = createCart();
+  cart.add(createLineItem(getProduct('neoball-pro-7-original')), 2);
+  cart.add(createLineItem(getProduct('ball-pump-pro')));
+  cart.setSubscribe(true);
+  cart.destroy();
+
+  const reloaded = new CartStore();
+  assert.equal(reloaded.getSnapshot().subscribe, true);
+
+  const quote = new PricingEngine().quote(reloaded.getLines(), { subscribe: true, now: new Date(2026, 7, 31) });
+  const [ball, pump] = quote.lines;
+  assert.equal(ball.price, 66.3);
+  assert.equal(ball.subscription.intervalMonths, 6);
+  assert.equal(ball.subscription.nextShipDate.toDateString(), new Date(2027, 1, 28).toDateString());
+  assert.equal(pump.subscription, null);
+  assert.equal(quote.total, 157.59);
+  // 2 × ($88 − $66.30) off the ball; the pump has no compare-at price
+  assert.equal(quote.savings, 43.4);
+
+  reloaded.clear();
+  assert.equal(reloaded.isSubscribed(), false);
+  reloaded.destroy();
+});
+
+test('discount rules cover percent, fixed, minimum subtotal and expiry', () => {
+  const rules = new DiscountRules();
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  assert.deepEqual(rules.evaluate(' neoball10 ', 102.99, now), {
+    status: 'applied', code: 'NEOBALL10', type: 'percent', amount: 10.3, freeShipping: false
+  });
+  assert.equal(rules.evaluate('SAVE15', 156, now).amount, 15);
+  assert.equal(rules.evaluate('FREESHIP', 14.99, now).freeShipping, true);
+
+  const minimum = rules.evaluate('SAVE15', 78, now);
+  assert.equal(minimum.status, 'minimum');
+  assert.equal(minimum.message, 'Add $22 more to use SAVE15 (orders over $100).');
+  assert.equal(rules.evaluate('BLACKFRIDAY25', 78, now).status, 'expired');
+  assert.equal(rules.evaluate('BLACKFRIDAY25', 78, new Date('2025-11-01T00:00:00Z')).status, 'not-started');
+  assert.equal(rules.evaluate('NOPE', 78, now).message, '"NOPE" isn\'t a valid discount code.');
+
+  // A fixed amount never takes the order below zero
+  const small = new DiscountRules({ codes: { TAKE50: { type: 'fixed', value: 50 } } });
+  assert.equal(small.evaluate('TAKE50', 14.99, now).amount, 14.99);
+});
+
+test('an applied code lowers the total, adds to savings and counts toward free shipping', () => {
+  const cart = createCart();
+  cart.add(createLineItem(getProduct('neoball-pro-7-original')));
+  cart.setDiscountCode('neoball10');
+  cart.destroy();
+
+  const reloaded = new CartStore();
+  assert.equal(reloaded.getDiscountCode(), 'NEOBALL10');
+
+  const pricing = new PricingEngine({ discounts: new DiscountRules() });
+  const quote = pricing.quote(reloaded.getLines(), { discountCode: reloaded.getDiscountCode() });
+  assert.equal(quote.subtotal, 78);
+  assert.equal(quote.total, 70.2);
+  assert.deepEqual(quote.discounts, [{ code: 'NEOBALL10', type: 'percent', amount: 7.8 }]);
+  // $10 off the compare-at price plus the code
+  assert.equal(quote.savings, 17.8);
+  assert.equal(quote.shipping.remaining, 4.8);
+
+  const freeShip = pricing.quote(reloaded.getLines(), { discountCode: 'FREESHIP' });
+  assert.equal(freeShip.total, 78);
+  assert.deepEqual([freeShip.shipping.free, freeShip.shipping.progress], [true, 100]);
+
+  // Kept on the cart but not applied while the order is under the minimum
+  const under = pricing.quote(reloaded.getLines(), { discountCode: 'SAVE15' });
+  assert.equal(under.discount.status, 'minimum');
+  assert.deepEqual(under.discounts, []);
+  assert.equal(under.total, 78);
+
+  reloaded.clear();
+  assert.equal(reloaded.getDiscountCode(), null);
+  reloaded.destroy();
+});
+
+test('each size and colorway is its own line with its own price, image and stock', () => {
+  assert.deepEqual(getVariantOptions('neoball-pro').map(option => [option.name, option.values.length]), [['size', 3], ['colorway', 6]]);
+  assert.deepEqual(getDefaultSelection('neoball-pro'), { size: '7', colorway: 'original' });
+
+  const night7 = getVariant('neoball-pro', { size: '7', colorway: 'night' });
+  const night5 = getVariant('neoball-pro', { size: '5', colorway: 'night' });
+  const street6 = getVariant('neoball-pro', { size: '6', colorway: 'street' });
+  assert.equal(night7.id, 'neoball-pro-7-night');
+  assert.equal(night7.image, './balls/balls6.png');
+  assert.equal(night7.gallery[0], './balls/balls6.png');
+  assert.equal(night7.variant, 'Size 7 · Night');
+  assert.equal(new PricingEngine().getProductPrice(street6.id).price, 74);
+  assert.equal(getStockStatus(night5).status, 'out');
+  assert.deepEqual(getStockStatus(street6), { status: 'low', stock: 3, label: 'Only 3 left' });
+  // The pre-variant id is only a saved-cart alias (see the next test), not a product
+  assert.equal(getProduct('neoball-pro'), null);
+
+  const cart = createCart();
+  cart.add(createLineItem(night7));
+  cart.add(createLineItem(street6), 5);
+  cart.add(createLineItem(night5));
+  cart.add(createLineItem(night7));
+  assert.deepEqual(cart.getLines().map(line => [line.id, line.quantity, line.image]), [
+    ['neoball-pro-7-night', 2, './balls/balls6.png'],
+    ['neoball-pro-6-street', 3, './balls/balls4.png']
+  ]);
+  // Stock below the store's limit caps the line; well-stocked lines keep the limit of 10
+  assert.equal(cart.getMaxQuantity(cart.getLine(street6.id)), 3);
+  cart.setQuantity(night7.id, 40);
+  assert.equal(cart.getLine(night7.id).quantity, 10);
+  assert.equal(cart.getMaxQuantity(), 10);
+  cart.destroy();
+});
+
+test('lines saved before variants load as the size 7 original and merge with it', () => {
+  const original = createLineItem(getProduct('neoball-pro-7-original'));
+  const legacy = { id: 'neoball-pro', name: 'Neoball Pro Basketball', price: 78, originalPrice: 88 };
+  localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({ version: CART_SCHEMA_VERSION, lines: [{ ...legacy, quantity: 2 }] }));
+  const cart = new CartStore();
+  assert.deepEqual(cart.getLines(), [{ ...original, quantity: 2 }]);
+  assert.equal(new PricingEngine().quote(cart.getLines()).total, 156);
+  cart.destroy();
+
+  localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({
+    version: CART_SCHEMA_VERSION,
+    lines: [{ ...original, quantity: 4 }, { ...legacy, quantity: 3 }, { ...legacy, quantity: 5 }]
+  }));
+  const merged = new CartStore();
+  assert.deepEqual(merged.getLines().map(line => [line.id, line.quantity]), [['neoball-pro-7-original', 10]]);
+  merged.destroy();
+});
@@ -0,0 +1,149 @@
+/**
+ * Checkout tests
+ * Payload building and the CheckoutClient's redirect, error and retry states,
+ * run against the local stub server on a random port.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCheckoutStubServer } from '../scripts/checkout-stub-server.js';
+import { buildCheckoutPayload, CheckoutClient, MockCheckoutProvider } from '../js/checkout.js';
+import { PricingEngine } from '../js/pricing.js';
+import { DiscountRules } from '../js/discounts.js';
+import { getProduct, createLineItem } from '../js/catalog.js';
+
+const server = createCheckoutStubServer({ returnUrl: 'http://localhost:8080/pdp.html' });
+await new Promise(resolve => server.listen(0, resolve));
+const endpoint = `http://localhost:${server.address().port}/checkout`;
+after(() => server.close());
+
+function createPayload(subscribe = false, discountCode = null) {
+  const snapshot = {
+    subscribe,
+    discountCode,
+    lines: [
+      { ...createLineItem(getProduct('neoball-pro-7-original')), quantity: 2 },
+      { ...createLineItem(getProduct('grip-enhancer-spray')), quantity: 1 }
+    ]
+  };
+  const pricing = new PricingEngine({ discounts: new DiscountRules() });
+  return buildCheckoutPayload(snapshot, pricing.quote(snapshot.lines, { subscribe, discountCode }));
+}
+
+function createClient(options = {}) {
+  const client = new CheckoutClient({
+    provider: new MockCheckoutProvider({ endpoint: options.endpoint ?? endpoint, fetch }),
+    retryDelay: 1,
+    redirect: url => client.redirectedTo = url,
+    ...options
+  });
+  client.states = [];
+  client.on('state', event => client.states.push(event.state));
+  return client;
+}
+
+test('the payload carries lines, quantities, the subscription flag and totals', () => {
+  const payload = createPayload(true);
+  assert.equal(payload.subscribe, true);
+  assert.deepEqual(payload.lines.map(line => [line.id, line.quantity, line.unitPrice]), [
+    ['neoball-pro-7-original', 2, 66.3],
+    ['grip-enhancer-spray', 1, 14.99]
+  ]);
+  assert.deepEqual(payload.lines[0].subscription, { intervalMonths: 6, discount: 0.15 });
+  assert.equal(payload.lines[1].subscription, null);
+  assert.deepEqual(payload.discounts, []);
+  assert.equal(payload.totals.total, 147.59);
+});
+
+test('a successful checkout redirects to the provider URL', async () => {
+  const client = createClient();
+  const url = await client.checkout(createPayload());
+  assert.match(url, /^http:\/\/localhost:8080\/pdp\.html\?checkout=success&order=MOCK-\d+$/);
+  assert.equal(client.redirectedTo, url);
+  assert.deepEqual(client.states, ['submitting', 'redirect']);
+});
+
+test('the redirect state names the order the provider opened', async () => {
+  const client = createClient();
+  let redirect = null;
+  client.on('state', event => { if (event.state === 'redirect') redirect = event; });
+  const url = await client.checkout(createPayload());
+  assert.match(redirect.order, /^MOCK-\d+$/);
+  assert.equal(new URL(url).searchParams.get('order'), redirect.order);
+});
+
+test('reset after a redirect lets the client check out again', async () => {
+  const client = createClient();
+  const first = await client.checkout(createPayload());
+  assert.equal(client.isBusy(), true);
+  // Still mid-redirect, so a second press is ignored
+  assert.equal(await client.checkout(createPayload()), first);
+
+  client.reset();
+  assert.equal(client.isBusy(), false);
+  assert.equal(client.pending, null);
+
+  const second = await client.checkout(createPayload());
+  assert.notEqual(second, first);
+  assert.equal(client.redirectedTo, second);
+  assert.deepEqual(client.states, ['submitting', 'redirect', 'idle', 'submitting', 'redirect']);
+});
+
+test('busy and unreachable servers are retried, rejected carts are not', async () => {
+  const busy = createClient({ endpoint: `${endpoint}?fail=503`, retries: 2 });
+  assert.equal(await busy.checkout(createPayload()), null);
+  assert.deepEqual(busy.states, ['submitting', 'retrying', 'retrying', 'error']);
+
+  const tampered = createPayload();
+  tampered.totals.total = 1;
+  const rejected = createClient();
+  const errors = [];
+  rejected.on('state', event => event.error && errors.push(event.error));
+  assert.equal(await rejected.checkout(tampered), null);
+  assert.deepEqual(rejected.states, ['submitting', 'error']);
+  assert.equal(errors[0].status, 409);
+  assert.equal(errors[0].message, 'Prices have changed. Please review your cart.');
+
+  // Nothing listening on the port: a network error, retried then reported
+  const offline = createClient({ endpoint: 'http://127.0.0.1:9/checkout', retries: 1 });
+  assert.equal(await offline.checkout(createPayload()), null);
+  assert.deepEqual(offline.states, ['submitting', 'retrying', 'error']);
+});
+
+test('a stub that recovers after a failure completes on the retry', async () => {
+  const flaky = createCheckoutStubServer({ failFirst: 1 });
+  await new Promise(resolve => flaky.listen(0, resolve));
+  const client = createClient({ endpoint: `http://localhost:${flaky.address().port}/checkout` });
+
+  assert.ok(await client.checkout(createPayload()));
+  assert.deepEqual(client.states, ['submitting', 'retrying', 'redirect']);
+  flaky.close();
+});
+
+test('discount codes travel with the payload and are checked by the stub', async () => {
+  const payload = createPayload(false, 'SAVE15');
+  assert.deepEqual(payload.discounts, [{ code: 'SAVE15', type: 'fixed', amount: 15 }]);
+  assert.equal(payload.totals.total, 155.99);
+  assert.ok(await createClient().checkout(payload));
+
+  // A code the server won't honour is rejected, not silently dropped
+  const forged = createPayload();
+  forged.discounts = [{ code: 'BLACKFRIDAY25', type: 'percent', amount: 42.74 }];
+  forged.totals.total -= 42.74;
+  const client = createClient();
+  const errors = [];
+  client.on('state', event => event.error && errors.push(event.error));
+  assert.equal(await client.checkout(forged), null);
+  assert.equal(errors[0].status, 422);
+  assert.match(errors[0].message, /^BLACKFRIDAY25 expired on/);
+});
+
+test('the stub refuses more of a variant than is in stock', async () => {
+  const snapshot = { subscribe: false, lines: [{ ...createLineItem(getProduct('neoball-pro-6-street')), quantity: 4 }] };
+  const client = createClient();
+  const errors = [];
+  client.on('state', event => event.error && errors.push(event.error));
+  assert.equal(await client.checkout(buildCheckoutPayload(snapshot, new PricingEngine().quote(snapshot.lines))), null);
+  assert.equal(errors[0].status, 409);
+  assert.equal(errors[0].message, 'Only 3 left of Neoball Pro Basketball (Size 6 · Street).');
+});
@@ -0,0 +1,152 @@
+/**
+ * Sunshine comparison capture
+ * Renders the seeded hero at the viewports we compare against the
+ * newyorksunshine.com reference, saves screenshots to tests/output/, and checks
+ * that two loads with the same seed give every ball the same texture and the
+ * same position after the same number of steps.
+ *
+ * Runs offline: pages come from a local `serve` instance, three/cannon-es are
+ * answered from node_modules and any other remote request is dropped.
+ */
+
+import { spawn } from 'node:child_process';
+import { mkdir, readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import assert from 'node:assert/strict';
+import puppeteer from 'puppeteer';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const OUTPUT_DIR = fileURLToPath(new URL('./output/', import.meta.url));
+const PORT = Number(process.env.PORT) || 8097;
+const SEED = 'sunshine';
+// Frames each layer is stepped before positions are compared, and how far apart they may be (world units)
+const LAYOUT_STEPS = 120;
+const POSITION_TOLERANCE = 1e-6;
+
+const VIEWPORTS = [
+  { id: 'mobile', width: 390, height: 844, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  { id: 'desktop', width: 1440, height: 900, deviceScaleFactor: 1 }
+];
+
+// Importmap CDN URLs → local copies
+const LOCAL_MODULES = {
+  'https://unpkg.com/three@0.164.0/build/three.module.js': 'node_modules/three/build/three.module.js',
+  'https://unpkg.com/cannon-es@0.20.0/dist/cannon-es.js': 'node_modules/cannon-es/dist/cannon-es.js'
+};
+
+function startServer() {
+  return new Promise((resolve, reject) => {
+    const server = spawn(`${ROOT}node_modules/.bin/serve`, ['.', '-l', String(PORT), '-c', 'serve.json', '--no-clipboard'], {
+      cwd: ROOT,
+      stdio: ['ignore', 'pipe', 'inherit']
+    });
+    const timer = setTimeout(() => reject(new Error('serve did not start within 15s')), 15000);
+    server.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('Accepting connections') || String(chunk).includes(`:${PORT}`)) {
+        clearTimeout(timer);
+        resolve(server);
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`serve exited with code ${code}`)));
+  });
+}
+
+async function openHero(browser, viewport) {
+  const page = await browser.newPage();
+  await page.setViewport(viewport);
+  await page.setRequestInterception(true);
+
+  page.on('request', async (request) => {
+    const url = request.url();
+    if (LOCAL_MODULES[url]) {
+      const body = await readFile(`${ROOT}${LOCAL_MODULES[url]}`);
+      request.respond({ status: 200, contentType: 'text/javascript', body });
+    } else if (url.startsWith(`http://localhost:${PORT}/`)) {
+      request.continue();
+    } else {
+      request.abort();
+    }
+  });
+
+  // Skip the banner so it doesn't cover the balls
+  await page.evaluateOnNewDocument(() => localStorage.setItem('neoball_cookie_consent', 'dismissed'));
+  // Hold the animation loop until captureLayout() has stepped the layers itself,
+  // so both loads have run exactly the same frames when positions are read
+  await page.evaluateOnNewDocument(() => {
+    const requestFrame = window.requestAnimationFrame.bind(window);
+    const held = [];
+    window.requestAnimationFrame = (callback) => held.push(callback);
+    window.releaseFrames = () => {
+      window.requestAnimationFrame = requestFrame;
+      held.splice(0).forEach(callback => requestFrame(callback));
+    };
+  });
+  await page.goto(`http://localhost:${PORT}/index.html?seed=${SEED}`, { waitUntil: 'load' });
+  await page.waitForFunction(() => (window.neoballBalls || []).length === 2, { timeout: 15000 });
+
+  return page;
+}
+
+// Steps every layer LAYOUT_STEPS seeded frames, reads the balls, then lets the page animate
+async function captureLayout(page) {
+  const layout = await page.evaluate((steps) => window.neoballBalls.map((layer) => {
+    for (let i = 0; i < steps; i++) layer.update(1 / 60);
+    return {
+      count: layer.balls.length,
+      textures: layer.balls.map(b => b.textureIndex),
+      positions: layer.balls.map(b => [b.body.position.x, b.body.position.y])
+    };
+  }), LAYOUT_STEPS);
+  await page.evaluate(() => {
+    window.releaseFrames();
+    return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  });
+  return layout;
+}
+
+function assertSameLayout(a, b, id) {
+  assert.equal(a.length, b.length, `${id}: layer count differs between loads`);
+  a.forEach((layer, i) => {
+    const other = b[i];
+    assert.equal(layer.count, other.count, `${id}: layer ${i} ball count differs between loads`);
+    assert.deepEqual(layer.textures, other.textures, `${id}: layer ${i} textures differ between loads`);
+    layer.positions.forEach(([x, y], ball) => {
+      const [ox, oy] = other.positions[ball];
+      assert.ok(
+        Math.hypot(x - ox, y - oy) <= POSITION_TOLERANCE,
+        `${id}: layer ${i} ball ${ball} is at (${x}, ${y}) in one load and (${ox}, ${oy}) in the other`
+      );
+    });
+  });
+}
+
+async function run() {
+  await mkdir(OUTPUT_DIR, { recursive: true });
+  const server = await startServer();
+  const browser = await puppeteer.launch({ headless: true, args: ['--use-gl=swiftshader'] });
+
+  try {
+    for (const viewport of VIEWPORTS) {
+      const first = await openHero(browser, viewport);
+      const second = await openHero(browser, viewport);
+
+      const [a, b] = await Promise.all([captureLayout(first), captureLayout(second)]);
+      assertSameLayout(a, b, viewport.id);
+
+      const path = `${OUTPUT_DIR}hero-${viewport.id}.png`;
+      await first.screenshot({ path });
+      console.log(`✓ ${viewport.id} ${viewport.width}×${viewport.height} → ${path}`);
+
+      await first.close();
+      await second.close();
+    }
+  } finally {
+    await browser.close();
+    server.kill();
+  }
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,72 @@
+/**
+ * Cookie banner tests
+ * Loads index.html in jsdom (inline scripts only, nothing fetched) and checks
+ * each consent choice lands in localStorage and hides the banner.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const STORAGE_KEY = 'neoball_cookie_consent';
+const html = await readFile(new URL('../index.html', import.meta.url), 'utf8');
+
+function loadPage(storedConsent) {
+  const dom = new JSDOM(html, {
+    url: 'http://localhost:8080/',
+    runScripts: 'dangerously',
+    beforeParse(window) {
+      window.localStorage.clear();
+      if (storedConsent) window.localStorage.setItem(STORAGE_KEY, storedConsent);
+      // The ball layers watch prefers-reduced-motion
+      window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+    }
+  });
+  const { document, localStorage } = dom.window;
+  return {
+    dom,
+    banner: document.getElementById('cookieBanner'),
+    click: (id) => document.getElementById(id).click(),
+    consent: () => localStorage.getItem(STORAGE_KEY)
+  };
+}
+
+test('banner is shown until the visitor chooses', () => {
+  const page = loadPage();
+  assert.equal(page.banner.classList.contains('hidden'), false);
+  assert.equal(page.consent(), null);
+  page.dom.window.close();
+});
+
+for (const [buttonId, choice] of [
+  ['cookieAccept', 'accepted'],
+  ['cookieReject', 'rejected'],
+  ['cookieClose', 'dismissed']
+]) {
+  test(`${buttonId} stores "${choice}" and hides the banner`, () => {
+    const page = loadPage();
+    page.click(buttonId);
+    assert.equal(page.consent(), choice);
+    assert.equal(page.banner.classList.contains('hidden'), true);
+    page.dom.window.close();
+  });
+
+  test(`a stored "${choice}" keeps the banner hidden on the next visit`, () => {
+    const page = loadPage(choice);
+    assert.equal(page.banner.classList.contains('hidden'), true);
+    // Buttons are not wired once a choice exists, so the choice can't be overwritten
+    page.click('cookieAccept');
+    assert.equal(page.consent(), choice);
+    page.dom.window.close();
+  });
+}
+
+test('a choice is announced with a neoball:consentchange event', () => {
+  const page = loadPage();
+  const seen = [];
+  page.dom.window.addEventListener('neoball:consentchange', e => seen.push(e.detail.consent));
+  page.click('cookieAccept');
+  assert.deepEqual(seen, ['accepted']);
+  page.dom.window.close();
+});
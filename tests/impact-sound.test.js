@@ -0,0 +1,180 @@
+/**
+ * Impact sound tests
+ * Gesture unlock, velocity scaling, the synthesized node graph and
+ * consent-aware preference storage. Web Audio isn't available under Node, so
+ * the graph is built against a fake AudioContext that records every node.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { Emitter } from '../js/emitter.js';
+
+const dom = new JSDOM('<!DOCTYPE html><body></body>', { url: 'http://localhost:8080/' });
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+globalThis.localStorage = dom.window.localStorage;
+
+class FakeParam {
+  constructor(value) {
+    this.value = value;
+    this.events = [];
+  }
+  setValueAtTime(value, time) { this.events.push(['set', value, time]); }
+  exponentialRampToValueAtTime(value, time) { this.events.push(['ramp', value, time]); }
+}
+
+class FakeNode {
+  constructor(kind, props) {
+    this.kind = kind;
+    this.outputs = [];
+    Object.assign(this, props);
+  }
+  connect(node) {
+    this.outputs.push(node);
+    return node;
+  }
+  disconnect() { this.outputs = []; }
+  start(time) { this.startTime = time; }
+  stop(time) { this.stopTime = time; }
+}
+
+window.AudioContext = class {
+  constructor() {
+    this.currentTime = 2;
+    this.sampleRate = 8000;
+    this.destination = new FakeNode('destination');
+    this.nodes = [];
+  }
+  node(kind, props) {
+    const node = new FakeNode(kind, props);
+    this.nodes.push(node);
+    return node;
+  }
+  createGain() { return this.node('gain', { gain: new FakeParam(1) }); }
+  createStereoPanner() { return this.node('panner', { pan: new FakeParam(0) }); }
+  createOscillator() { return this.node('oscillator', { type: 'sine', frequency: new FakeParam(440) }); }
+  createBiquadFilter() { return this.node('filter', { type: 'lowpass', frequency: new FakeParam(350) }); }
+  createBufferSource() { return this.node('buffer', { buffer: null }); }
+  createBuffer(channels, length, sampleRate) {
+    const data = new Float32Array(length);
+    return { length, sampleRate, getChannelData: () => data };
+  }
+  resume() {}
+  close() {}
+};
+
+const { ImpactSound, SOUND_PROFILES, createSoundToggle } = await import('../js/impact-sound.js');
+
+function createSound(options) {
+  return new ImpactSound({ minImpactVelocity: 100, maxImpactVelocity: 1100, ...options });
+}
+
+// Loudness of every impact played on `context`: output gain over the profile volume
+function played(context, profile = 'silent') {
+  if (!context) return [];
+  return context.nodes
+    .filter(node => node.kind === 'gain' && node.outputs[0]?.kind === 'panner')
+    .map(node => node.gain.value / SOUND_PROFILES[profile].volume);
+}
+
+function impact(impactVelocity, x = 0) {
+  return { type: 'wallhit', impactVelocity, position: { x, y: 0, z: 0 } };
+}
+
+test('impacts stay silent until a user gesture', () => {
+  const source = new Emitter();
+  const sound = createSound().attach(source);
+
+  source.emit('wallhit', impact(600));
+  assert.equal(sound.isUnlocked(), false);
+
+  window.dispatchEvent(new window.Event('pointerdown'));
+  const { context } = sound;
+  assert.deepEqual(played(context), []);
+  source.emit('wallhit', impact(600));
+  source.emit('collide', impact(1100));
+  assert.deepEqual(played(context), [0.5, 1]);
+
+  sound.destroy();
+  source.emit('wallhit', impact(600));
+  assert.equal(played(context).length, 2);
+});
+
+test('each impact is a panned thump, ring and noise slap that holds a voice until it ends', () => {
+  const sound = createSound({ profile: 'regular' });
+  sound.unlock();
+  const ctx = sound.context;
+  const byKind = kind => ctx.nodes.filter(node => node.kind === kind);
+
+  sound.play(0.5, -0.5);
+
+  const [panner] = byKind('panner');
+  assert.equal(panner.pan.value, -0.5);
+  assert.deepEqual(panner.outputs, [ctx.destination]);
+  const output = byKind('gain').find(node => node.outputs[0] === panner);
+  assert.equal(output.gain.value, 0.9 * 0.5);
+
+  // Each part runs through its own envelope into the output
+  const [thump, ring] = byKind('oscillator');
+  assert.deepEqual(thump.frequency.events, [['set', 220, 2], ['ramp', 110, 2.12]]);
+  assert.equal(thump.outputs[0].outputs[0], output);
+  assert.equal(ring.type, 'triangle');
+  assert.equal(ring.frequency.value, 620);
+  assert.deepEqual(ring.outputs[0].gain.events[0], ['set', 0.4 * 0.5, 2]);
+  assert.equal(ring.outputs[0].outputs[0], output);
+
+  const [slap] = byKind('buffer');
+  const [filter] = byKind('filter');
+  assert.equal(slap.buffer.length, 8000 * 0.05);
+  assert.deepEqual(slap.outputs, [filter]);
+  assert.equal(filter.type, 'bandpass');
+  assert.equal(filter.frequency.value, 1800);
+  assert.equal(filter.outputs[0].outputs[0], output);
+
+  assert.equal(sound.voices, 1);
+  thump.onended();
+  assert.equal(sound.voices, 0);
+  assert.deepEqual(output.outputs, []);
+
+  // The silent profile has no ring
+  sound.setProfile('silent');
+  sound.play(1);
+  assert.equal(byKind('oscillator').length, 3);
+  sound.destroy();
+});
+
+test('soft impacts are dropped and loudness scales with impact velocity', () => {
+  const sound = createSound();
+  assert.equal(sound.getStrength(50), 0);
+  assert.equal(sound.getStrength(100), 0);
+  assert.equal(sound.getStrength(350), 0.25);
+  assert.equal(sound.getStrength(5000), 1);
+  sound.destroy();
+});
+
+test('preferences are stored only with cookie consent', () => {
+  localStorage.clear();
+  const sound = createSound();
+  const button = createSoundToggle(sound);
+
+  button.click();
+  assert.equal(sound.getProfile(), 'regular');
+  assert.match(button.textContent, /Regular basketball/);
+  assert.equal(localStorage.getItem('neoball_sound'), null);
+
+  localStorage.setItem('neoball_cookie_consent', 'accepted');
+  window.dispatchEvent(new window.CustomEvent('neoball:consentchange', { detail: { consent: 'accepted' } }));
+  assert.deepEqual(JSON.parse(localStorage.getItem('neoball_sound')), { profile: 'regular', muted: false });
+
+  // A fresh page picks the stored profile back up
+  const next = createSound();
+  assert.equal(next.getProfile(), 'regular');
+
+  localStorage.setItem('neoball_cookie_consent', 'rejected');
+  next.setMuted(true);
+  assert.equal(localStorage.getItem('neoball_sound'), null);
+
+  sound.destroy();
+  next.destroy();
+});
@@ -0,0 +1,41 @@
+/**
+ * PDP style tests
+ * Parses pdp.html's stylesheet in jsdom (no scripts run) to catch class rules
+ * that would show an element the markup ships with `hidden`. jsdom always lets
+ * `hidden` win, so the rules are read rather than the computed style.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const html = await readFile(new URL('../pdp.html', import.meta.url), 'utf8');
+const { document } = new JSDOM(html).window;
+
+// Style rules, including those inside @media blocks
+function collectRules(rules, found = []) {
+  for (const rule of rules) {
+    if (rule.selectorText) found.push(rule);
+    else if (rule.cssRules) collectRules(rule.cssRules, found);
+  }
+  return found;
+}
+
+const displayRules = [...document.styleSheets]
+  .flatMap(sheet => collectRules(sheet.cssRules))
+  .filter(rule => rule.style.display);
+
+test('elements that start hidden stay hidden despite their display rules', () => {
+  const hidden = [...document.querySelectorAll('[hidden]')];
+  assert.ok(hidden.some(el => el.id === 'discountApplied'), 'the applied discount row starts hidden');
+
+  for (const el of hidden) {
+    const matching = displayRules.filter(rule => el.matches(rule.selectorText));
+    if (!matching.some(rule => rule.style.display !== 'none')) continue;
+    assert.ok(
+      matching.some(rule => rule.selectorText.includes('[hidden]') && rule.style.display === 'none'),
+      `#${el.id || el.className} needs a [hidden] { display: none } rule`
+    );
+  }
+});